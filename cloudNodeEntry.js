@@ -1,13 +1,32 @@
 // cloudNodeEntry.js - Root entry wrapper for cloud_sdk.mjs
 // Re-export selected SDK APIs for cloud/node consumers.
 
+// node: built-ins for the filesystem cache, file paths and checksums; the browser entry (sdk.js) leaves them out
+import "./src/js/platformNode.js";
+
 export {
   fetchAllScores,
   fetchSomeScores,
+  syncAllScores,
   getScoresPerTrait,
   getScoresPerCategory,
 } from "./src/js/getPGS_loadScores.js";
 
 export { loadScoreStats } from "./src/js/landingPage.js";
-export { getTxts } from "./src/js/getPGS_loadTxts.js";
+export { getTxts, previewScoreFile } from "./src/js/getPGS_loadTxts.js";
+export { PgsCatalogError, HttpStatusError, NotHarmonizedError, ScoreFileTooLargeError, GzipCorruptError, RequestTimeoutError, SnapshotError } from "./src/js/errors.js";
+export { configureHttp } from "./src/js/httpClient.js";
+export { configure, getConfig } from "./src/js/config.js";
+export { configureStorage, createFileStorage } from "./src/js/cacheStore.js";
+export { waitForCacheRefresh } from "./src/js/cachePolicy.js";
+export { exportCacheSnapshot, importCacheSnapshot } from "./src/js/cacheSnapshot.js";
+export { listCacheEntries, getCacheUsage, clearCache, enforceCacheQuota, pinScores, unpinScores, getPinnedScores } from "./src/js/cacheManager.js";
+export { toColumnar, fromColumnar } from "./src/js/scoreColumns.js";
+export { parseRawGenotypes, parseVcf } from "./src/js/genotypes.js";
+export { scoreGenotypes, scoreVcf, scoreBatch } from "./src/js/scoring.js";
+export { matchAlleles } from "./src/js/alleleMatching.js";
+export { compareScores } from "./src/js/scoreComparison.js";
+export { toPlinkScore, toPgscCalcScore, saveScoreFile } from "./src/js/scoreExport.js";
+export { parseChain, liftoverPosition, liftoverScore } from "./src/js/liftover.js";
+export { createReference, parseReferenceScores, referenceFromGenotypes, saveReference, getReference, normalizeScores } from "./src/js/normalization.js";
 export { fetchTraits } from "./src/js/getPGS_loadTraits.js";
@@ -17,6 +17,11 @@ const nodePlugins = [
     commonjs(),
 ];
 
+// Node built-ins, imported by src/js/platformNode.js only, which only cloudNodeEntry.js pulls in
+// (the filesystem cache driver, file paths in saveScoreFile and cache snapshots, node:crypto checksums);
+// the browser bundles must not reference them, so they are external for the Node bundle alone
+const nodeOnlyExternals = ["node:fs/promises", "node:path", "node:os", "node:crypto"];
+
 
 export default [
     {
@@ -57,6 +62,7 @@ export default [
     },
     {
         input: "cloudNodeEntry.js",
+        external: nodeOnlyExternals,
         output: {
             file: "dist/cloud_sdk.mjs",
             format: "es",
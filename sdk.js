@@ -1,10 +1,25 @@
 import localforage from "localforage";
 
 export { localforage };
-export { fetchAllScores,fetchSomeScores } from "./src/js/getPGS_loadScores.js"; // re-export for external use
+export { fetchAllScores,fetchSomeScores,syncAllScores } from "./src/js/getPGS_loadScores.js"; // re-export for external use
 export { loadScoreStats } from "./src/js/landingPage.js";
 export { getScoresPerTrait, getScoresPerCategory } from "./src/js/getPGS_loadScores.js";
-export { getTxts } from "./src/js/getPGS_loadTxts.js"; // re-export for external use
+export { getTxts, previewScoreFile } from "./src/js/getPGS_loadTxts.js"; // re-export for external use
+export { PgsCatalogError, HttpStatusError, NotHarmonizedError, ScoreFileTooLargeError, GzipCorruptError, RequestTimeoutError, SnapshotError } from "./src/js/errors.js";
+export { configureHttp } from "./src/js/httpClient.js";
+export { configure, getConfig } from "./src/js/config.js";
+export { configureStorage, createFileStorage } from "./src/js/cacheStore.js";
+export { waitForCacheRefresh } from "./src/js/cachePolicy.js";
+export { exportCacheSnapshot, importCacheSnapshot } from "./src/js/cacheSnapshot.js";
+export { listCacheEntries, getCacheUsage, clearCache, enforceCacheQuota, pinScores, unpinScores, getPinnedScores } from "./src/js/cacheManager.js";
+export { toColumnar, fromColumnar } from "./src/js/scoreColumns.js";
+export { parseRawGenotypes, parseVcf } from "./src/js/genotypes.js";
+export { scoreGenotypes, scoreVcf, scoreBatch } from "./src/js/scoring.js";
+export { matchAlleles } from "./src/js/alleleMatching.js";
+export { compareScores } from "./src/js/scoreComparison.js";
+export { toPlinkScore, toPgscCalcScore, saveScoreFile } from "./src/js/scoreExport.js";
+export { parseChain, liftoverPosition, liftoverScore } from "./src/js/liftover.js";
+export { createReference, parseReferenceScores, referenceFromGenotypes, saveReference, getReference, normalizeScores } from "./src/js/normalization.js";
 export { fetchTraits } from "./src/js/getPGS_loadTraits.js";
 export { fetchDataAndRenderPlots } from "./src/js/landingPage.js";
 export { estimateLocalForageSizeKB, checkStorageKB, getTextSizeKB } from "./src/js/storage.js";
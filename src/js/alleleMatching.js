@@ -0,0 +1,124 @@
+// ---- allele harmonization rules shared by the scoring functions ----
+// Every score variant gets a decision { match, reason } that ends up in the per-variant match log:
+//   kept     - exact:               effect/other alleles found as-is
+//            - no_other_allele:     score has no other_allele, effect allele taken as-is
+//            - ambiguous_kept:      A/T or C/G SNP kept as-is (keepAmbiguous)
+//            - ambiguous_resolved:  A/T or C/G SNP, allelefrequency_effect agrees with the target frequency
+//   flipped  - strand_flip:         alleles found on the opposite strand
+//            - ambiguous_resolved_flip: A/T or C/G SNP, frequencies say the target is on the opposite strand
+//   excluded - ambiguous, multiallelic, allele_mismatch (and not_found / no_call from the scoring functions)
+
+const COMPLEMENT = { A: "T", T: "A", C: "G", G: "C" };
+
+export const DEFAULT_MATCH_OPTIONS = {
+	keepAmbiguous: false, // pgsc_calc --keep_ambiguous
+	keepMultiallelic: false, // pgsc_calc --keep_multiallelic
+	maxAmbiguousMaf: 0.4, // A/T, C/G SNPs with a minor allele frequency above this are never frequency-resolved
+};
+
+export function complementAllele(allele) {
+	if (!allele) return allele;
+	return allele.split("").map((base) => COMPLEMENT[base] ?? base).join("");
+}
+
+// A/T and C/G SNPs read the same on both strands
+export function isAmbiguousSnp(effectAllele, otherAllele) {
+	return Boolean(effectAllele && otherAllele)
+		&& effectAllele.length === 1
+		&& otherAllele.length === 1
+		&& COMPLEMENT[effectAllele] === otherAllele;
+}
+
+function decision(match, reason, effectAllele, otherAllele, multiallelic = false) {
+	return {
+		match,
+		reason,
+		effect_allele: effectAllele,
+		other_allele: otherAllele,
+		multiallelic,
+	};
+}
+
+// ---- core: decide how a score variant maps onto the alleles seen in the target data ----
+export function matchAlleles(variant, targetAlleles, options = {}) {
+	/**
+	 * Match a score variant's effect/other alleles to a target site.
+	 * @param {{effect_allele: string, other_allele?: string|null, allelefrequency_effect?: number|null}} variant
+	 * @param {string[]} targetAlleles - all alleles at the site (VCF REF + ALTs), or the called alleles when observed is set
+	 * @param {{
+	 *   keepAmbiguous?: boolean,
+	 *   keepMultiallelic?: boolean,
+	 *   maxAmbiguousMaf?: number,
+	 *   observed?: boolean,
+	 *   getTargetFrequency?: (allele: string) => number|null
+	 * }} [options] - observed: targetAlleles are one individual's genotype (a subset of the site alleles);
+	 *   getTargetFrequency: frequency of an allele in the target data, used to resolve ambiguous SNPs
+	 * @returns {{match: "kept"|"flipped"|"excluded", reason: string, effect_allele: string, other_allele: string|null, multiallelic: boolean}}
+	 *   effect_allele / other_allele are on the target strand
+	 */
+	const {
+		keepAmbiguous,
+		keepMultiallelic,
+		maxAmbiguousMaf,
+		observed = false,
+		getTargetFrequency = null,
+	} = { ...DEFAULT_MATCH_OPTIONS, ...options };
+	const effect = variant.effect_allele;
+	const other = variant.other_allele || null;
+	const target = [...new Set(targetAlleles)];
+	const multiallelic = !observed && target.length > 2;
+
+	if (multiallelic && !keepMultiallelic) {
+		return decision("excluded", "multiallelic", effect, other, true);
+	}
+	if (!other) {
+		return target.includes(effect) || observed
+			? decision("kept", "no_other_allele", effect, other, multiallelic)
+			: decision("excluded", "allele_mismatch", effect, other, multiallelic);
+	}
+
+	const fits = (effectAllele, otherAllele) => (observed
+		? target.every((allele) => allele === effectAllele || allele === otherAllele)
+		: target.includes(effectAllele) && target.includes(otherAllele));
+
+	if (isAmbiguousSnp(effect, other)) {
+		if (!fits(effect, other)) {
+			return decision("excluded", "allele_mismatch", effect, other, multiallelic);
+		}
+		if (keepAmbiguous) {
+			return decision("kept", "ambiguous_kept", effect, other, multiallelic);
+		}
+		const frequency = variant.allelefrequency_effect;
+		const targetFrequency = getTargetFrequency ? getTargetFrequency(effect) : null;
+		if (
+			Number.isFinite(frequency)
+			&& Number.isFinite(targetFrequency)
+			&& Math.min(frequency, 1 - frequency) <= maxAmbiguousMaf
+		) {
+			return Math.abs(targetFrequency - frequency) <= Math.abs(targetFrequency - (1 - frequency))
+				? decision("kept", "ambiguous_resolved", effect, other, multiallelic)
+				: decision("flipped", "ambiguous_resolved_flip", complementAllele(effect), complementAllele(other), multiallelic);
+		}
+		return decision("excluded", "ambiguous", effect, other, multiallelic);
+	}
+
+	if (fits(effect, other)) {
+		return decision("kept", "exact", effect, other, multiallelic);
+	}
+	const flippedEffect = complementAllele(effect);
+	const flippedOther = complementAllele(other);
+	if (fits(flippedEffect, flippedOther)) {
+		return decision("flipped", "strand_flip", flippedEffect, flippedOther, multiallelic);
+	}
+	return decision("excluded", "allele_mismatch", effect, other, multiallelic);
+}
+
+// counts of each { match, reason } in a per-variant match log
+export function summarizeMatchLog(variants) {
+	const summary = { kept: 0, flipped: 0, excluded: 0, reasons: {} };
+	for (const variant of variants) {
+		summary[variant.match] += 1;
+		summary.reasons[variant.reason] = (summary.reasons[variant.reason] ?? 0) + 1;
+	}
+	return summary;
+}
@@ -0,0 +1,336 @@
+import { cacheStore } from "./cacheStore.js";
+import { getCacheAge, getCacheState } from "./cachePolicy.js";
+import { getConfig } from "./config.js";
+
+// ---- cache inspection, quotas, clearing and pinning ----
+// Every SDK cache entry belongs to one namespace, named after its cacheTtl / cacheQuota resource where it has one:
+//   scores             PGS_Catalog:all-score-summary
+//   traits             PGS_Catalog:trait-summary
+//   scoresPerTrait     PGS_Catalog:scores-per-trait-summary
+//   scoresPerCategory  PGS_Catalog:scores-per-category-summary (and getScoresPerCategory2's cache)
+//   scoringFiles       PGS_Catalog:id-<id>:<GRCh37|GRCh38|original>
+//   references         PGS_Catalog:reference-<id>
+//   meta               SDK bookkeeping (pinned IDs, access index); only cleared when asked for by name
+// Entries of pinned PGS IDs (scoring files and references) are never evicted by quotas and skipped by clearCache().
+// Sizes and access times live in a small separate index (PGS_Catalog:cache-index), so quotas are enforced
+// without reading or re-serializing the multi-megabyte scoring files:
+//   { entries: { <key>: { bytes, cachedAt, lastAccess, hits } }, savedAt }
+// getTxts() records its cache hits and downloads there; eviction order follows configure({ cacheEviction }).
+const NAMESPACES = [
+	{ namespace: "scores", resource: "scores", match: (key) => key === "PGS_Catalog:all-score-summary" },
+	{ namespace: "traits", resource: "traits", match: (key) => key === "PGS_Catalog:trait-summary" },
+	{ namespace: "scoresPerTrait", resource: "scoresPerTrait", match: (key) => key === "PGS_Catalog:scores-per-trait-summary" },
+	{
+		namespace: "scoresPerCategory",
+		resource: "scoresPerCategory",
+		match: (key) => key === "PGS_Catalog:scores-per-category-summary" || key === "SCORES_PER_CATEGORY_SUMMARY_KEY_2",
+	},
+	{ namespace: "scoringFiles", resource: "scoringFiles", match: (key) => key.startsWith("PGS_Catalog:id-"), id: (key) => key.slice("PGS_Catalog:id-".length).split(":")[0] },
+	{ namespace: "references", resource: null, match: (key) => key.startsWith("PGS_Catalog:reference-"), id: (key) => key.slice("PGS_Catalog:reference-".length) },
+	{ namespace: "meta", resource: null, match: (key) => key.startsWith("PGS_Catalog:") },
+];
+export const CACHE_NAMESPACES = NAMESPACES.map(({ namespace }) => namespace);
+const PINNED_IDS_KEY = "PGS_Catalog:pinned-ids";
+export const CACHE_INDEX_KEY = "PGS_Catalog:cache-index";
+
+// cache key -> its namespace entry, null for keys the SDK did not write
+function getNamespace(key) {
+	return NAMESPACES.find(({ match }) => match(key)) ?? null;
+}
+
+function checkNamespace(namespace) {
+	if (namespace != null && !CACHE_NAMESPACES.includes(namespace)) {
+		throw new Error(`Unknown cache namespace "${namespace}". Use: ${CACHE_NAMESPACES.join(", ")}`);
+	}
+}
+
+// typed arrays (columnar scores) are counted by byteLength instead of their JSON expansion
+export function getByteSize(value) {
+	let typedBytes = 0;
+	const encoded = JSON.stringify(value, (key, val) => {
+		if (ArrayBuffer.isView(val)) {
+			typedBytes += val.byteLength;
+			return undefined;
+		}
+		return val;
+	}) ?? "";
+	if (typeof TextEncoder !== "undefined") {
+		return new TextEncoder().encode(encoded).length + typedBytes;
+	}
+	return encoded.length * 2 + typedBytes;
+}
+
+// summaries and references carry savedAt (ISO string), scoring files cachedAt (epoch ms)
+function getSavedAt(value) {
+	const savedAt = value?.savedAt ?? value?.cachedAt ?? null;
+	const time = typeof savedAt === "number" ? savedAt : Date.parse(savedAt);
+	return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+// "PGS_Catalog:id-PGS00000*" (* = any characters) or a RegExp -> key test
+function toKeyMatcher(pattern) {
+	if (pattern == null) return () => true;
+	if (pattern instanceof RegExp) return (key) => pattern.test(key);
+	const source = String(pattern).split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+	const regex = new RegExp(`^${source}$`);
+	return (key) => regex.test(key);
+}
+
+// ---- access index ----
+// read-modify-write of the index, one update at a time so parallel getTxts() calls do not lose each other's entries
+let indexQueue = Promise.resolve();
+
+function updateCacheIndex(update) {
+	const task = indexQueue.then(async () => {
+		const index = (await cacheStore.getItem(CACHE_INDEX_KEY))?.entries ?? {};
+		const result = await update(index);
+		await cacheStore.setItem(CACHE_INDEX_KEY, { entries: index, savedAt: new Date().toISOString() });
+		return result;
+	});
+	indexQueue = task.catch(() => { });
+	return task;
+}
+
+async function getCacheIndex() {
+	await indexQueue;
+	return (await cacheStore.getItem(CACHE_INDEX_KEY))?.entries ?? {};
+}
+
+// a cache entry was (re)written: its size is measured once, here; hits only count cache reads,
+// so a download or forceRefresh keeps the previous count (0 for a new entry)
+export function recordCacheWrite(key, value) {
+	const bytes = getByteSize({ key, value });
+	const now = Date.now();
+	return updateCacheIndex((index) => {
+		index[key] = { bytes, cachedAt: now, lastAccess: now, hits: index[key]?.hits ?? 0 };
+	});
+}
+
+// cache hits; entries written before the index existed are sized later, by enforceCacheQuota()
+export function recordCacheAccess(keys) {
+	const now = Date.now();
+	return updateCacheIndex((index) => {
+		for (const key of [keys].flat()) {
+			index[key] = { bytes: null, cachedAt: null, ...index[key], lastAccess: now, hits: (index[key]?.hits ?? 0) + 1 };
+		}
+	});
+}
+
+// entries replaced or removed outside the loaders (snapshot import, clearCache): their rows are dropped,
+// so enforceCacheQuota() measures them again from the stored value
+export function forgetCacheEntries(keys) {
+	return updateCacheIndex((index) => {
+		for (const key of [keys].flat()) {
+			delete index[key];
+		}
+	});
+}
+
+// eviction order per cacheEviction policy, first evicted first; undated entries count as oldest
+const lastUsed = (entry) => entry.lastAccess ?? entry.cachedAt ?? 0;
+const EVICTION_ORDER = {
+	lru: (a, b) => lastUsed(a) - lastUsed(b),
+	lfu: (a, b) => (a.hits ?? 0) - (b.hits ?? 0) || lastUsed(a) - lastUsed(b),
+	fifo: (a, b) => (a.cachedAt ?? 0) - (b.cachedAt ?? 0),
+};
+
+// ---- core: pinned PGS IDs ----
+export async function getPinnedScores() {
+	/**
+	 * PGS IDs whose cached scoring files and references are kept by quotas and clearCache().
+	 * @returns {Promise<string[]>}
+	 */
+	const stored = await cacheStore.getItem(PINNED_IDS_KEY);
+	return Array.isArray(stored?.ids) ? stored.ids : [];
+}
+
+async function savePinnedScores(ids) {
+	const sorted = [...new Set(ids)].sort();
+	await cacheStore.setItem(PINNED_IDS_KEY, { ids: sorted, savedAt: new Date().toISOString() });
+	return sorted;
+}
+
+export async function pinScores(ids) {
+	/**
+	 * Pin PGS IDs: their cached scoring files (every build and source) and references are never evicted.
+	 * Pins are stored in the cache itself, so they persist and travel with cache snapshots.
+	 * @param {string|string[]} ids
+	 * @returns {Promise<string[]>} all pinned IDs
+	 */
+	return savePinnedScores([...await getPinnedScores(), ...[ids].flat()]);
+}
+
+export async function unpinScores(ids) {
+	/**
+	 * Remove pins set with pinScores(); the entries stay cached but can be evicted again.
+	 * @param {string|string[]} ids
+	 * @returns {Promise<string[]>} the IDs still pinned
+	 */
+	const removed = new Set([ids].flat());
+	return savePinnedScores((await getPinnedScores()).filter((id) => !removed.has(id)));
+}
+
+// ---- core: listing ----
+export async function listCacheEntries({ namespace = null, pattern = null, config = null } = {}) {
+	/**
+	 * List SDK cache entries with their size and freshness.
+	 * @param {{ namespace?: string|null, pattern?: string|RegExp|null, config?: object|null }} [options]
+	 *   namespace: one of CACHE_NAMESPACES (default: all); pattern: key glob ("*" = any characters) or RegExp;
+	 *   config: per-call config overrides used for freshness (cacheTtl)
+	 * @returns {Promise<Array<{
+	 *   key: string, namespace: string, id: string|null, bytes: number, savedAt: string|null, age: number,
+	 *   freshness: "fresh"|"expired"|null, pinned: boolean, lastAccess: string|null, hits: number
+	 * }>>} freshness is null for namespaces without a TTL (references, meta); lastAccess / hits: getTxts() cache use
+	 *   (null / 0 when not tracked); sorted by namespace, then key
+	 */
+	checkNamespace(namespace);
+	const matchKey = toKeyMatcher(pattern);
+	const pinned = new Set(await getPinnedScores());
+	const index = await getCacheIndex();
+	const entries = [];
+	await cacheStore.iterate((value, key) => {
+		const info = getNamespace(key);
+		if (!info || (namespace && info.namespace !== namespace) || !matchKey(key)) {
+			return;
+		}
+		const savedAt = getSavedAt(value);
+		const id = info.id ? info.id(key) : null;
+		const tracked = index[key];
+		entries.push({
+			key,
+			namespace: info.namespace,
+			id,
+			bytes: tracked?.bytes ?? getByteSize({ key, value }),
+			savedAt,
+			age: getCacheAge(savedAt),
+			freshness: info.resource
+				? getCacheState(info.resource, value, savedAt, { staleWhileRevalidate: false, config })
+				: null,
+			pinned: id != null && pinned.has(id),
+			lastAccess: tracked?.lastAccess ? new Date(tracked.lastAccess).toISOString() : null,
+			hits: tracked?.hits ?? 0,
+		});
+	});
+	const order = (entry) => CACHE_NAMESPACES.indexOf(entry.namespace);
+	return entries.sort((a, b) => order(a) - order(b) || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+}
+
+export async function getCacheUsage({ config = null } = {}) {
+	/**
+	 * Size of the SDK cache per namespace, against its quota (configure({ cacheQuota })).
+	 * @param {{ config?: object|null }} [options] - per-call config overrides (cacheQuota, cacheTtl)
+	 * @returns {Promise<Object<string, {count: number, bytes: number, quota: number, pinned: number, expired: number}>>}
+	 *   quota is Infinity where none is set; pinned / expired count entries
+	 */
+	const { cacheQuota } = getConfig(config);
+	const usage = Object.fromEntries(CACHE_NAMESPACES.map((namespace) => [namespace, {
+		count: 0,
+		bytes: 0,
+		quota: cacheQuota[namespace] ?? Infinity,
+		pinned: 0,
+		expired: 0,
+	}]));
+	for (const entry of await listCacheEntries({ config })) {
+		const total = usage[entry.namespace];
+		total.count += 1;
+		total.bytes += entry.bytes;
+		total.pinned += entry.pinned ? 1 : 0;
+		total.expired += entry.freshness === "expired" ? 1 : 0;
+	}
+	return usage;
+}
+
+// ---- core: clearing ----
+export async function clearCache({ namespace = null, pattern = null, olderThan = null, includePinned = false, config = null } = {}) {
+	/**
+	 * Remove SDK cache entries; all filters given must match. Without filters every entry is removed,
+	 * except pinned ones and the meta namespace (clear that by name).
+	 * @param {{
+	 *   namespace?: string|null, pattern?: string|RegExp|null, olderThan?: number|null,
+	 *   includePinned?: boolean, config?: object|null
+	 * }} [options] - namespace / pattern as in listCacheEntries(); olderThan: minimum age in ms;
+	 *   includePinned: also remove entries of pinned PGS IDs
+	 * @returns {Promise<string[]>} the removed keys
+	 */
+	const entries = await listCacheEntries({ namespace, pattern, config });
+	const removed = entries
+		.filter((entry) => namespace === "meta" || entry.namespace !== "meta")
+		.filter((entry) => includePinned || !entry.pinned)
+		.filter((entry) => olderThan == null || entry.age >= olderThan)
+		.map((entry) => entry.key);
+	for (const key of removed) {
+		await cacheStore.removeItem(key);
+	}
+	if (removed.length && !removed.includes(CACHE_INDEX_KEY)) {
+		await forgetCacheEntries(removed);
+	}
+	return removed;
+}
+
+// ---- core: quotas ----
+export async function enforceCacheQuota(namespace, { keep = [], config = null } = {}) {
+	/**
+	 * Evict entries of a namespace until it fits its quota (configure({ cacheQuota })), in the order of
+	 * configure({ cacheEviction }): "lru" least recently used first (default), "lfu" least often used first,
+	 * "fifo" oldest download first. Entries not in `keep` go first, then those in `keep`; pinned entries are never evicted.
+	 * Sizes come from the access index; only entries missing from it are read (once) to measure them.
+	 * getTxts() runs this for scoringFiles and saveReference() for references after every write.
+	 * @param {string} namespace - one of CACHE_NAMESPACES
+	 * @param {{ keep?: string[], config?: object|null }} [options] - keep: cache keys just requested, evicted last
+	 * @returns {Promise<string[]>} the evicted keys
+	 */
+	checkNamespace(namespace);
+	const { cacheQuota, cacheEviction } = getConfig(config);
+	const quota = cacheQuota[namespace] ?? Infinity;
+	if (quota === Infinity) {
+		return [];
+	}
+	const pinned = new Set(await getPinnedScores());
+	return updateCacheIndex(async (index) => {
+		const keys = (await cacheStore.keys()).filter((key) => getNamespace(key)?.namespace === namespace);
+		const present = new Set(keys);
+		// forget entries removed behind the index's back (another tab, a snapshot import with replace)
+		for (const key of Object.keys(index)) {
+			if (getNamespace(key)?.namespace === namespace && !present.has(key)) delete index[key];
+		}
+		// measure entries written before the index existed or restored from a snapshot
+		for (const key of keys) {
+			if (index[key]?.bytes != null) continue;
+			const value = await cacheStore.getItem(key);
+			const savedAt = getSavedAt(value);
+			index[key] = {
+				lastAccess: null,
+				hits: 0,
+				...index[key],
+				bytes: getByteSize({ key, value }),
+				cachedAt: savedAt ? Date.parse(savedAt) : null,
+			};
+		}
+
+		let totalBytes = keys.reduce((sum, key) => sum + index[key].bytes, 0);
+		if (totalBytes <= quota) {
+			return [];
+		}
+		const kept = new Set(keep.map(String));
+		const info = NAMESPACES.find((entry) => entry.namespace === namespace);
+		const evictable = keys
+			.filter((key) => !(info.id && pinned.has(info.id(key))))
+			.map((key) => ({ key, ...index[key] }));
+		const order = EVICTION_ORDER[cacheEviction];
+		const evictionOrder = [
+			...evictable.filter((entry) => !kept.has(entry.key)).sort(order),
+			...evictable.filter((entry) => kept.has(entry.key)).sort(order),
+		];
+		const evicted = [];
+		for (const entry of evictionOrder) {
+			if (totalBytes <= quota) {
+				break;
+			}
+			await cacheStore.removeItem(entry.key);
+			delete index[entry.key];
+			totalBytes -= entry.bytes;
+			evicted.push(entry.key);
+		}
+		return evicted;
+	});
+}
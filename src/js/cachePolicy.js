@@ -0,0 +1,76 @@
+import { getConfig } from "./config.js";
+
+// ---- cache freshness rules shared by every loader ----
+// TTLs per resource come from configure({ cacheTtl }) (see config.js). Each loader also takes, per call:
+//   maxAge                ms, replaces the resource TTL for this call
+//   forceRefresh          skip the cached entry and load again (the new data is still cached)
+//   staleWhileRevalidate  return an expired entry at once and refresh it in the background
+//                         (default: configure({ staleWhileRevalidate }))
+// getCacheState() sorts an entry into:
+//   "fresh"    younger than its TTL: use it
+//   "stale"    expired, staleWhileRevalidate on: use it, and refresh with revalidateInBackground()
+//   "expired"  expired (or forceRefresh): load again; the old entry is still there for a fallback
+//   "missing"  nothing cached
+
+// savedAt (ISO string or epoch ms) -> age in ms; Infinity when absent or unreadable
+export function getCacheAge(savedAt, now = Date.now()) {
+	if (savedAt == null || savedAt === "") return Infinity;
+	const time = typeof savedAt === "number" ? savedAt : Date.parse(savedAt);
+	return Number.isFinite(time) ? Math.max(0, now - time) : Infinity;
+}
+
+export function getCacheState(resource, entry, savedAt, { maxAge = null, forceRefresh = false, staleWhileRevalidate = null, config = null } = {}) {
+	/**
+	 * Decide how a loader uses a cached entry.
+	 * @param {"scores"|"traits"|"scoresPerTrait"|"scoresPerCategory"|"scoringFiles"} resource - cacheTtl key
+	 * @param {any} entry - the cached value, null/undefined when there is none
+	 * @param {string|number|null} savedAt - when the entry was written (ISO string or epoch ms)
+	 * @param {{ maxAge?: number|null, forceRefresh?: boolean, staleWhileRevalidate?: boolean|null, config?: object|null }} [options]
+	 *   the loader's own options; config: per-call config overrides (cacheTtl, staleWhileRevalidate)
+	 * @returns {"fresh"|"stale"|"expired"|"missing"}
+	 */
+	if (entry == null) return "missing";
+	if (forceRefresh) return "expired";
+	const settings = getConfig(config);
+	if (!(resource in settings.cacheTtl)) {
+		throw new Error(`Unknown cache resource "${resource}". Use: ${Object.keys(settings.cacheTtl).join(", ")}`);
+	}
+	const ttl = maxAge ?? settings.cacheTtl[resource];
+	// strictly younger, so maxAge: 0 reloads even an entry written this millisecond; an Infinity TTL never expires
+	if (ttl === Infinity || getCacheAge(savedAt) < ttl) return "fresh";
+	return (staleWhileRevalidate ?? settings.staleWhileRevalidate) ? "stale" : "expired";
+}
+
+// one background refresh per cache key at a time
+const pendingRefreshes = new Map();
+
+export function revalidateInBackground(key, refresh) {
+	/**
+	 * Run refresh() without waiting for it; failures are logged, the stale entry stays in the cache.
+	 * A refresh already running for the same key is reused.
+	 * @param {string} key - cache key being refreshed
+	 * @param {() => Promise<any>} refresh
+	 * @returns {Promise<void>}
+	 */
+	if (!pendingRefreshes.has(key)) {
+		const task = Promise.resolve()
+			.then(refresh)
+			.then(() => undefined, (error) => {
+				console.warn(`Background refresh of ${key} failed:`, error);
+			})
+			.finally(() => pendingRefreshes.delete(key));
+		pendingRefreshes.set(key, task);
+	}
+	return pendingRefreshes.get(key);
+}
+
+export async function waitForCacheRefresh() {
+	/**
+	 * Resolve once every background refresh started by a stale-while-revalidate read has finished,
+	 * e.g. before a Node script exits or in tests.
+	 * @returns {Promise<void>}
+	 */
+	while (pendingRefreshes.size) {
+		await Promise.all(pendingRefreshes.values());
+	}
+}
@@ -0,0 +1,174 @@
+import pako from "pako";
+import { cacheStore, deserializeCacheValue, serializeCacheValue } from "./cacheStore.js";
+import { SnapshotError } from "./errors.js";
+import { CACHE_INDEX_KEY, forgetCacheEntries } from "./cacheManager.js";
+import { getNodeBuiltins, requireNodeBuiltins } from "./platform.js";
+
+// ---- offline cache snapshots ----
+// A snapshot is one gzip file holding every PGS_Catalog:* cache entry, for machines without network access:
+//   line 1   manifest JSON: { format, version, createdAt, count, keys, sha256 }
+//   line 2+  the entries, [[key, value], ...] serialized like the filesystem driver (typed arrays as base64)
+// sha256 covers the entries text, so a truncated or edited snapshot is refused before anything is written.
+// The access index (PGS_Catalog:cache-index, see cacheManager.js) is local bookkeeping: it is never exported,
+// and the rows of restored or removed keys are dropped so their sizes are measured again on this machine.
+export const SNAPSHOT_FORMAT = "pgs_catalog_sdk-cache-snapshot";
+export const SNAPSHOT_VERSION = 1;
+const CACHE_KEY_PREFIX = "PGS_Catalog:";
+
+// Web Crypto where available; node:crypto (Node build) in Node versions without a global crypto (Node 18)
+async function sha256Hex(text) {
+	const bytes = new TextEncoder().encode(text);
+	const subtle = globalThis.crypto?.subtle;
+	if (subtle) {
+		const digest = await subtle.digest("SHA-256", bytes);
+		return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+	}
+	const createHash = getNodeBuiltins()?.createHash;
+	if (createHash) {
+		return createHash("sha256").update(bytes).digest("hex");
+	}
+	throw new SnapshotError("Cache snapshots need SHA-256 (crypto.subtle), which browsers only provide on secure pages (https or localhost).");
+}
+
+// browser download or Node file, as saveScoreFile() in scoreExport.js
+async function saveSnapshotFile(bytes, filename) {
+	if (typeof document !== "undefined" && typeof Blob !== "undefined") {
+		const url = URL.createObjectURL(new Blob([bytes], { type: "application/gzip" }));
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = filename.split(/[\\/]/).pop();
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+		return;
+	}
+	const { fs } = requireNodeBuiltins("Saving a cache snapshot to a file path");
+	await fs.writeFile(filename, bytes);
+}
+
+// file path (Node), Blob / File, ArrayBuffer or typed array -> Uint8Array
+async function readSnapshotBytes(source) {
+	if (typeof source === "string") {
+		const { fs } = requireNodeBuiltins("Reading a cache snapshot from a file path");
+		return new Uint8Array(await fs.readFile(source));
+	}
+	if (typeof Blob !== "undefined" && source instanceof Blob) {
+		return new Uint8Array(await source.arrayBuffer());
+	}
+	if (source instanceof ArrayBuffer) {
+		return new Uint8Array(source);
+	}
+	if (ArrayBuffer.isView(source)) {
+		return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+	}
+	throw new Error("A cache snapshot must be a file path (Node), Blob/File, ArrayBuffer or Uint8Array.");
+}
+
+// ---- core: export ----
+export async function exportCacheSnapshot({ filename = null, keys = null } = {}) {
+	/**
+	 * Pack the SDK cache (all-score and trait summaries, per-trait / per-category summaries, scoring files,
+	 * references: every PGS_Catalog:* entry) into one versioned, gzip-compressed snapshot.
+	 * @param {{ filename?: string|null, keys?: string[]|null }} [options]
+	 *   filename: also save the snapshot (browser download, or file path in Node), e.g. "pgs-cache.snapshot.gz";
+	 *   keys: only these cache keys (default: every PGS_Catalog:* entry)
+	 * @returns {Promise<{bytes: Uint8Array, manifest: object}>}
+	 */
+	const wanted = keys ? new Set(keys) : null;
+	const entries = [];
+	for (const key of await cacheStore.keys()) {
+		if (!key.startsWith(CACHE_KEY_PREFIX) || key === CACHE_INDEX_KEY || (wanted && !wanted.has(key))) continue;
+		const value = await cacheStore.getItem(key);
+		if (value !== null) entries.push([key, value]);
+	}
+	entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+	const body = serializeCacheValue(entries);
+	const manifest = {
+		format: SNAPSHOT_FORMAT,
+		version: SNAPSHOT_VERSION,
+		createdAt: new Date().toISOString(),
+		count: entries.length,
+		keys: entries.map(([key]) => key),
+		sha256: await sha256Hex(body),
+	};
+	const bytes = pako.gzip(`${JSON.stringify(manifest)}\n${body}`);
+	if (filename) {
+		await saveSnapshotFile(bytes, filename);
+	}
+	return { bytes, manifest };
+}
+
+// unpack and check a snapshot; throws SnapshotError without touching the cache
+async function readSnapshot(bytes) {
+	let text;
+	try {
+		text = pako.ungzip(bytes, { to: "string" });
+	} catch (error) {
+		throw new SnapshotError("Cache snapshot is not a readable gzip file (truncated or corrupt).", { cause: error });
+	}
+	if (typeof text !== "string") { // pako returns nothing for a stream that ends early
+		throw new SnapshotError("Cache snapshot is not a readable gzip file (truncated or corrupt).");
+	}
+	const newline = text.indexOf("\n");
+	let manifest;
+	try {
+		manifest = JSON.parse(newline < 0 ? text : text.slice(0, newline));
+	} catch (error) {
+		throw new SnapshotError("Cache snapshot has no readable manifest.", { cause: error });
+	}
+	if (manifest?.format !== SNAPSHOT_FORMAT) {
+		throw new SnapshotError(`Not a PGS Catalog SDK cache snapshot (format "${manifest?.format}").`);
+	}
+	if (!Number.isInteger(manifest.version) || manifest.version < 1 || manifest.version > SNAPSHOT_VERSION) {
+		throw new SnapshotError(`Unsupported cache snapshot version ${manifest.version}; this SDK reads versions 1 to ${SNAPSHOT_VERSION}.`, { version: manifest.version });
+	}
+	const body = newline < 0 ? "" : text.slice(newline + 1);
+	if (await sha256Hex(body) !== manifest.sha256) {
+		throw new SnapshotError("Cache snapshot checksum does not match its contents (truncated or edited).", { version: manifest.version });
+	}
+	const entries = deserializeCacheValue(body);
+	const keys = Array.isArray(manifest.keys) ? manifest.keys : [];
+	const valid = Array.isArray(entries) && entries.length === manifest.count && keys.length === entries.length
+		&& entries.every((entry, i) => Array.isArray(entry) && entry.length === 2 && entry[0] === keys[i]
+			&& typeof entry[0] === "string" && entry[0].startsWith(CACHE_KEY_PREFIX));
+	if (!valid) {
+		throw new SnapshotError(`Cache snapshot entries do not match the version ${manifest.version} schema.`, { version: manifest.version });
+	}
+	return { manifest, entries };
+}
+
+// ---- core: import ----
+export async function importCacheSnapshot(source, { replace = false, dryRun = false } = {}) {
+	/**
+	 * Restore a snapshot from exportCacheSnapshot() into the SDK cache (whichever configureStorage() driver is active).
+	 * The format, schema version and checksum are all checked first; an invalid snapshot throws SnapshotError
+	 * and leaves the cache untouched.
+	 * @param {string|Blob|ArrayBuffer|Uint8Array} source - snapshot bytes, a Blob/File (browser) or a file path (Node)
+	 * @param {{ replace?: boolean, dryRun?: boolean }} [options]
+	 *   replace: also remove PGS_Catalog:* entries that are not in the snapshot (default: keep them);
+	 *   dryRun: only validate and report, write nothing
+	 * @returns {Promise<{manifest: object, imported: string[], removed: string[]}>}
+	 */
+	const { manifest, entries: snapshotEntries } = await readSnapshot(await readSnapshotBytes(source));
+	const entries = snapshotEntries.filter(([key]) => key !== CACHE_INDEX_KEY);
+	const imported = entries.map(([key]) => key);
+	let removed = [];
+	if (replace) {
+		const keep = new Set(imported);
+		removed = (await cacheStore.keys())
+			.filter((key) => key.startsWith(CACHE_KEY_PREFIX) && key !== CACHE_INDEX_KEY && !keep.has(key));
+	}
+	if (dryRun) {
+		return { manifest, imported, removed };
+	}
+	for (const [key, value] of entries) {
+		await cacheStore.setItem(key, value);
+	}
+	for (const key of removed) {
+		await cacheStore.removeItem(key);
+	}
+	await forgetCacheEntries([...imported, ...removed]);
+	return { manifest, imported, removed };
+}
@@ -0,0 +1,203 @@
+import localforage from "localforage";
+import { getNodeBuiltins, requireNodeBuiltins } from "./platform.js";
+
+// ---- pluggable cache storage ----
+// Every SDK cache read and write goes through cacheStore, with the same PGS_Catalog:* keys on every backend:
+//   "localforage"  IndexedDB / localStorage through localforage (default in the browser)
+//   "filesystem"   one JSON file per key in a cache directory, written atomically (default in the Node build, cloud_sdk.mjs)
+//   or any object with localforage's async getItem / setItem / removeItem / keys / iterate methods
+const TYPED_ARRAYS = {
+	Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array, Float64Array,
+};
+const TYPED_TAG = "$typedArray";
+
+// base64 with Buffer in Node, btoa / atob in the browser
+function toBase64(bytes) {
+	if (typeof Buffer !== "undefined") return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString("base64");
+	let binary = "";
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+}
+
+function fromBase64(text) {
+	if (typeof Buffer !== "undefined") return new Uint8Array(Buffer.from(text, "base64")); // own, aligned buffer
+	const binary = atob(text);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+	return bytes;
+}
+
+// typed arrays (columnar scores) are kept as base64 of their bytes, so NaN weights and sizes survive the JSON round trip;
+// also used by cache snapshots (cacheSnapshot.js)
+export function serializeCacheValue(value) {
+	return JSON.stringify(value ?? null, (key, val) => {
+		if (ArrayBuffer.isView(val) && TYPED_ARRAYS[val.constructor.name]) {
+			const bytes = new Uint8Array(val.buffer, val.byteOffset, val.byteLength);
+			return { [TYPED_TAG]: val.constructor.name, base64: toBase64(bytes) };
+		}
+		return val;
+	});
+}
+
+export function deserializeCacheValue(text) {
+	return JSON.parse(text, (key, val) => {
+		if (val && typeof val === "object" && TYPED_ARRAYS[val[TYPED_TAG]]) {
+			const bytes = fromBase64(val.base64);
+			const TypedArray = TYPED_ARRAYS[val[TYPED_TAG]];
+			return new TypedArray(bytes.buffer, 0, bytes.byteLength / TypedArray.BYTES_PER_ELEMENT);
+		}
+		return val;
+	});
+}
+
+// $PGS_CATALOG_CACHE_DIR, else $XDG_CACHE_HOME/pgs_catalog_sdk, else ~/.cache/pgs_catalog_sdk
+function getDefaultCacheDir(path, os) {
+	if (process.env.PGS_CATALOG_CACHE_DIR) return process.env.PGS_CATALOG_CACHE_DIR;
+	return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "pgs_catalog_sdk");
+}
+
+// ---- core: filesystem driver (Node) ----
+export function createFileStorage({ dir = null } = {}) {
+	/**
+	 * Cache backend that keeps each key in its own file, <dir>/<encodeURIComponent(key)>.json.
+	 * Writes go to a temporary file that is then renamed over the entry, so readers never see a partial file.
+	 * Node build (cloud_sdk.mjs) only.
+	 * @param {{ dir?: string }} [options] - cache directory, created on first use;
+	 *   default $PGS_CATALOG_CACHE_DIR, else $XDG_CACHE_HOME/pgs_catalog_sdk, else ~/.cache/pgs_catalog_sdk
+	 * @returns {{driver: "filesystem", getItem: Function, setItem: Function, removeItem: Function, keys: Function, iterate: Function, clear: Function}}
+	 */
+	const { fs, path, os } = requireNodeBuiltins("The filesystem cache driver");
+	let ready = null;
+	const init = () => {
+		ready ??= (async () => {
+			const root = dir ?? getDefaultCacheDir(path, os);
+			await fs.mkdir(root, { recursive: true });
+			return { fs, path, root };
+		})();
+		return ready;
+	};
+	const getFile = ({ path, root }, key) => path.join(root, `${encodeURIComponent(key)}.json`);
+
+	const fileStorage = {
+		driver: "filesystem",
+		async getItem(key) {
+			const ctx = await init();
+			let text;
+			try {
+				text = await ctx.fs.readFile(getFile(ctx, key), "utf8");
+			} catch (error) {
+				if (error.code === "ENOENT") return null;
+				throw error;
+			}
+			try {
+				return deserializeCacheValue(text);
+			} catch (error) {
+				// unreadable entry (e.g. edited by hand): treat it as a cache miss
+				console.warn(`Ignoring unreadable cache file for ${key}: ${error.message}`);
+				return null;
+			}
+		},
+		async setItem(key, value) {
+			const ctx = await init();
+			const file = getFile(ctx, key);
+			const tmp = `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+			try {
+				await ctx.fs.writeFile(tmp, serializeCacheValue(value));
+				await ctx.fs.rename(tmp, file);
+			} catch (error) {
+				await ctx.fs.rm(tmp, { force: true });
+				throw error;
+			}
+			return value;
+		},
+		async removeItem(key) {
+			const ctx = await init();
+			await ctx.fs.rm(getFile(ctx, key), { force: true });
+		},
+		async keys() {
+			const ctx = await init();
+			const names = await ctx.fs.readdir(ctx.root);
+			return names
+				.filter((name) => name.endsWith(".json"))
+				.map((name) => decodeURIComponent(name.slice(0, -".json".length)));
+		},
+		// same contract as localforage.iterate(): stops at the first callback that returns something
+		async iterate(callback) {
+			const keys = await fileStorage.keys();
+			for (let i = 0; i < keys.length; i++) {
+				const value = await fileStorage.getItem(keys[i]);
+				if (value === null) continue; // removed since keys() was read
+				const result = callback(value, keys[i], i + 1);
+				if (result !== undefined) return result;
+			}
+			return undefined;
+		},
+		async clear() {
+			const keys = await fileStorage.keys();
+			await Promise.all(keys.map((key) => fileStorage.removeItem(key)));
+		},
+	};
+	return fileStorage;
+}
+
+const localforageStorage = {
+	driver: "localforage",
+	getItem: (key) => localforage.getItem(key),
+	setItem: (key, value) => localforage.setItem(key, value),
+	removeItem: (key) => localforage.removeItem(key),
+	keys: () => localforage.keys(),
+	iterate: (callback) => localforage.iterate(callback),
+	clear: () => localforage.clear(),
+};
+
+const STORAGE_METHODS = ["getItem", "setItem", "removeItem", "keys", "iterate"];
+
+function resolveStorage(driver, dir) {
+	if (driver && typeof driver === "object") {
+		const missing = STORAGE_METHODS.filter((method) => typeof driver[method] !== "function");
+		if (missing.length) {
+			throw new Error(`Custom cache storage is missing method(s): ${missing.join(", ")}`);
+		}
+		return driver;
+	}
+	if (driver === "auto") {
+		return getNodeBuiltins() ? createFileStorage({ dir }) : localforageStorage;
+	}
+	if (driver === "filesystem") {
+		return createFileStorage({ dir });
+	}
+	if (driver === "localforage") {
+		return localforageStorage;
+	}
+	throw new Error(`Unsupported cache storage driver "${driver}". Use "auto", "localforage", "filesystem" or a storage object.`);
+}
+
+let activeStorage = null;
+
+export function configureStorage({ driver = "auto", dir = null } = {}) {
+	/**
+	 * Choose where the SDK caches scores, traits, scoring files and references.
+	 * @param {{ driver?: "auto"|"localforage"|"filesystem"|object, dir?: string }} [options]
+	 *   driver: "auto" (default) = "filesystem" in Node, "localforage" in the browser, or a custom storage object;
+	 *   dir: cache directory of the filesystem driver (see createFileStorage())
+	 * @returns {{ driver: string }} the driver now in use
+	 */
+	activeStorage = resolveStorage(driver, dir);
+	return { driver: activeStorage.driver ?? "custom" };
+}
+
+function getStorage() {
+	activeStorage ??= resolveStorage("auto", null);
+	return activeStorage;
+}
+
+// the cache the loaders use; follows configureStorage()
+export const cacheStore = {
+	getItem: (key) => getStorage().getItem(key),
+	setItem: (key, value) => getStorage().setItem(key, value),
+	removeItem: (key) => getStorage().removeItem(key),
+	keys: () => getStorage().keys(),
+	iterate: (callback) => getStorage().iterate(callback),
+};
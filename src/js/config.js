@@ -0,0 +1,115 @@
+// ---- SDK endpoint and cache configuration ----
+// Global defaults set with configure(); every loader also takes a partial `config` per call
+// (e.g. getTxts(ids, { config: { scoringFileBase: "http://localhost:8080/scores" } })).
+// Mirrors are tried in order after the primary base when it fails (network error or non-2xx response).
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_TTL_MS = 90 * DAY_MS; // the catalog's "3 months" rule
+const CACHE_EVICTION_POLICIES = ["lru", "lfu", "fifo"];
+
+export const DEFAULT_CONFIG = {
+	restBase: "https://www.pgscatalog.org/rest",
+	restMirrors: [],
+	scoringFileBase: "https://ftp.ebi.ac.uk/pub/databases/spot/pgs/scores",
+	scoringFileMirrors: [],
+	// {base} = scoringFileBase or a mirror, {id} = PGS ID, {build} = 37 | 38
+	harmonizedTemplate: "{base}/{id}/ScoringFiles/Harmonized/{id}_hmPOS_GRCh{build}.txt.gz",
+	originalTemplate: "{base}/{id}/ScoringFiles/{id}.txt.gz",
+	// cache lifetime per resource in ms (Infinity = never expires) and the default stale-while-revalidate mode, see cachePolicy.js
+	cacheTtl: {
+		scores: CACHE_TTL_MS, // all-score summary (fetchAllScores, fetchSomeScores)
+		traits: CACHE_TTL_MS, // trait summary (fetchTraits)
+		scoresPerTrait: CACHE_TTL_MS, // getScoresPerTrait
+		scoresPerCategory: CACHE_TTL_MS, // getScoresPerCategory
+		scoringFiles: CACHE_TTL_MS, // getTxts
+	},
+	staleWhileRevalidate: false,
+	// cache size limit per namespace in bytes (Infinity = no limit), evicting in cacheEviction order, see cacheManager.js
+	cacheQuota: {
+		scores: Infinity,
+		traits: Infinity,
+		scoresPerTrait: Infinity,
+		scoresPerCategory: Infinity,
+		scoringFiles: 300 * 1024 * 1024, // getTxts
+		references: Infinity, // saveReference
+	},
+	// which entries a quota evicts first: "lru" least recently used, "lfu" least often used, "fifo" oldest download
+	cacheEviction: "lru",
+};
+
+let sdkConfig = { ...DEFAULT_CONFIG };
+
+function checkConfigKeys(config) {
+	const unknown = Object.keys(config ?? {}).filter((key) => !(key in DEFAULT_CONFIG));
+	if (unknown.length) {
+		throw new Error(`Unknown config option(s): ${unknown.join(", ")}. Use: ${Object.keys(DEFAULT_CONFIG).join(", ")}`);
+	}
+	for (const [resource, ttl] of Object.entries(config?.cacheTtl ?? {})) {
+		if (!(resource in DEFAULT_CONFIG.cacheTtl)) {
+			throw new Error(`Unknown cacheTtl resource "${resource}". Use: ${Object.keys(DEFAULT_CONFIG.cacheTtl).join(", ")}`);
+		}
+		if (typeof ttl !== "number" || !(ttl >= 0)) {
+			throw new Error(`cacheTtl.${resource} must be a number of milliseconds (Infinity = never expires), got ${ttl}`);
+		}
+	}
+	if (config?.cacheEviction !== undefined && !CACHE_EVICTION_POLICIES.includes(config.cacheEviction)) {
+		throw new Error(`Unsupported cacheEviction "${config.cacheEviction}". Use one of: ${CACHE_EVICTION_POLICIES.join(", ")}`);
+	}
+	for (const [namespace, quota] of Object.entries(config?.cacheQuota ?? {})) {
+		if (!(namespace in DEFAULT_CONFIG.cacheQuota)) {
+			throw new Error(`Unknown cacheQuota namespace "${namespace}". Use: ${Object.keys(DEFAULT_CONFIG.cacheQuota).join(", ")}`);
+		}
+		if (typeof quota !== "number" || !(quota >= 0)) {
+			throw new Error(`cacheQuota.${namespace} must be a number of bytes (Infinity = no limit), got ${quota}`);
+		}
+	}
+}
+
+// cacheTtl and cacheQuota are merged per resource, so configure({ cacheTtl: { scoringFiles: Infinity } }) keeps the other TTLs
+function mergeConfig(base, patch) {
+	return {
+		...base,
+		...(patch ?? {}),
+		cacheTtl: { ...base.cacheTtl, ...(patch?.cacheTtl ?? {}) },
+		cacheQuota: { ...base.cacheQuota, ...(patch?.cacheQuota ?? {}) },
+	};
+}
+
+export function configure(config = {}) {
+	/**
+	 * Set the SDK endpoints for every later call.
+	 * @param {{
+	 *   restBase?: string, restMirrors?: string[],
+	 *   scoringFileBase?: string, scoringFileMirrors?: string[],
+	 *   harmonizedTemplate?: string, originalTemplate?: string,
+	 *   cacheTtl?: Object<string, number>, staleWhileRevalidate?: boolean, cacheQuota?: Object<string, number>,
+	 *   cacheEviction?: "lru"|"lfu"|"fifo"
+	 * }} config
+	 * @returns {object} the configuration now in effect
+	 */
+	checkConfigKeys(config);
+	sdkConfig = mergeConfig(sdkConfig, config);
+	return getConfig();
+}
+
+// global configuration with per-call overrides applied
+export function getConfig(overrides = null) {
+	checkConfigKeys(overrides);
+	return mergeConfig(sdkConfig, overrides);
+}
+
+const trimBase = (base) => String(base).replace(/\/+$/, "");
+
+// "/score/all?format=json" -> [primary, ...mirrors] URLs
+export function getRestUrls(path, overrides = null) {
+	const { restBase, restMirrors } = getConfig(overrides);
+	return [restBase, ...(restMirrors ?? [])].map((base) => `${trimBase(base)}${path}`);
+}
+
+export function getScoringFileUrls(id, build = 37, source = "harmonized", overrides = null) {
+	const { scoringFileBase, scoringFileMirrors, harmonizedTemplate, originalTemplate } = getConfig(overrides);
+	const template = source == "original" ? originalTemplate : harmonizedTemplate;
+	return [scoringFileBase, ...(scoringFileMirrors ?? [])].map((base) => template
+		.replaceAll("{base}", trimBase(base))
+		.replaceAll("{id}", id)
+		.replaceAll("{build}", build));
+}
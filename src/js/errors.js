@@ -0,0 +1,67 @@
+// ---- typed errors for PGS Catalog downloads ----
+// All carry a stable `code` so callers (and getTxts() failure entries) can branch without parsing messages:
+//   HTTP_STATUS     non-2xx response (status, url)
+//   NOT_HARMONIZED  no harmonized scoring file for the requested build (the harmonized URL answered 404)
+//   TOO_LARGE       scoring file has more variants than the maxRows limit
+//   GZIP_CORRUPT    the .txt.gz could not be inflated or ended early
+//   TIMEOUT         no response within the HTTP client's timeoutMs, after all retries
+//   SNAPSHOT_INVALID  a cache snapshot failed its format, schema version or checksum check (nothing was restored)
+
+export class PgsCatalogError extends Error {
+	constructor(message, { code = "PGS_CATALOG_ERROR", id = null, url = null, cause } = {}) {
+		super(message, cause === undefined ? undefined : { cause });
+		this.name = "PgsCatalogError";
+		this.code = code;
+		this.id = id;
+		this.url = url;
+	}
+}
+
+export class HttpStatusError extends PgsCatalogError {
+	constructor(message, { status = null, ...details } = {}) {
+		super(message, { code: "HTTP_STATUS", ...details });
+		this.name = "HttpStatusError";
+		this.status = status;
+	}
+}
+
+export class NotHarmonizedError extends PgsCatalogError {
+	constructor(message, { build = null, ...details } = {}) {
+		super(message, { code: "NOT_HARMONIZED", ...details });
+		this.name = "NotHarmonizedError";
+		this.status = 404;
+		this.build = build;
+	}
+}
+
+export class ScoreFileTooLargeError extends PgsCatalogError {
+	constructor(message, { rows = null, maxRows = null, ...details } = {}) {
+		super(message, { code: "TOO_LARGE", ...details });
+		this.name = "ScoreFileTooLargeError";
+		this.rows = rows;
+		this.maxRows = maxRows;
+	}
+}
+
+export class GzipCorruptError extends PgsCatalogError {
+	constructor(message, details = {}) {
+		super(message, { code: "GZIP_CORRUPT", ...details });
+		this.name = "GzipCorruptError";
+	}
+}
+
+export class RequestTimeoutError extends PgsCatalogError {
+	constructor(message, { timeoutMs = null, ...details } = {}) {
+		super(message, { code: "TIMEOUT", ...details });
+		this.name = "RequestTimeoutError";
+		this.timeoutMs = timeoutMs;
+	}
+}
+
+export class SnapshotError extends PgsCatalogError {
+	constructor(message, { version = null, ...details } = {}) {
+		super(message, { code: "SNAPSHOT_INVALID", ...details });
+		this.name = "SnapshotError";
+		this.version = version;
+	}
+}
@@ -0,0 +1,219 @@
+import pako from "pako";
+
+// ---- genotype file parsers for local PRS calculation ----
+
+// consumer exports number the sex chromosomes / mitochondria differently (AncestryDNA: 23-26)
+const CHROMOSOME_ALIASES = {
+	"23": "X",
+	"24": "Y",
+	"25": "X", // AncestryDNA pseudo-autosomal XY
+	"26": "MT",
+	"XY": "X",
+	"M": "MT",
+};
+
+const RAW_GENOTYPE_FORMATS = ["23andme", "ancestrydna", "myheritage"];
+
+export function normalizeChromosome(chr) {
+	/**
+	 * Normalize chromosome labels ("chr1", "23", "M") to PGS Catalog style ("1", "X", "MT").
+	 * @param {string|number} chr
+	 * @returns {string}
+	 */
+	const label = String(chr ?? "").trim().replace(/^chr/i, "").toUpperCase();
+	return CHROMOSOME_ALIASES[label] ?? label;
+}
+
+function detectGenomeBuild(commentLines) {
+	for (const line of commentLines) {
+		const match = line.match(/GRCh(3[78])/i) ?? line.match(/build\s*(3[78])/i);
+		if (match) return `GRCh${match[1]}`;
+		if (/\b(hg19|b37|hs37d5)\b/i.test(line)) return "GRCh37";
+		if (/\bhg38\b/i.test(line)) return "GRCh38";
+	}
+	return null;
+}
+
+function detectRawGenotypeFormat(commentLines, headerLine) {
+	const comments = commentLines.join("\n");
+	if (/23andMe/i.test(comments)) return "23andme";
+	if (/AncestryDNA/i.test(comments)) return "ancestrydna";
+	if (/MyHeritage/i.test(comments)) return "myheritage";
+
+	const header = (headerLine ?? "").toLowerCase();
+	if (header.includes("allele1") && header.includes("allele2")) return "ancestrydna";
+	if (header.includes(",") && header.includes("result")) return "myheritage";
+	return "23andme";
+}
+
+function splitGenotype(call) {
+	// "AG" -> ["A", "G"], "A" (hemizygous X/Y/MT) -> ["A"], "--" / "00" -> null
+	const alleles = String(call ?? "").trim().toUpperCase().split("");
+	if (!alleles.length || alleles.some((allele) => allele === "-" || allele === "0")) {
+		return null;
+	}
+	return alleles;
+}
+
+// ---- core: parse a 23andMe / AncestryDNA / MyHeritage raw data export ----
+export function parseRawGenotypes(txt, { format = "auto" } = {}) {
+	/**
+	 * Parse a consumer raw-data genotype export.
+	 * @param {string} txt - full file contents (uncompressed)
+	 * @param {{ format?: "auto"|"23andme"|"ancestrydna"|"myheritage" }} [options]
+	 * @returns {{
+	 *   format: string,
+	 *   build: string|null,
+	 *   genotypes: Array<{rsid: string, chr: string, pos: number, alleles: string[]|null}>
+	 * }}
+	 */
+	if (typeof txt !== "string") {
+		throw new Error("parseRawGenotypes() expects the raw genotype file contents as a string.");
+	}
+	if (format !== "auto" && !RAW_GENOTYPE_FORMATS.includes(format)) {
+		throw new Error(`Unsupported raw genotype format "${format}". Use one of: auto, ${RAW_GENOTYPE_FORMATS.join(", ")}`);
+	}
+
+	const lines = txt.split(/\r\n|\n|\r/g);
+	const commentLines = [];
+	let firstDataLine = 0;
+	while (firstDataLine < lines.length && (lines[firstDataLine][0] === "#" || !lines[firstDataLine].trim())) {
+		if (lines[firstDataLine][0] === "#") commentLines.push(lines[firstDataLine]);
+		firstDataLine += 1;
+	}
+
+	const headerCandidate = lines[firstDataLine] ?? "";
+	const hasHeaderLine = /^"?rsid"?[\t,]/i.test(headerCandidate);
+	const detectedFormat = format === "auto"
+		? detectRawGenotypeFormat(commentLines, hasHeaderLine ? headerCandidate : null)
+		: format;
+
+	const genotypes = [];
+	for (let i = firstDataLine + (hasHeaderLine ? 1 : 0); i < lines.length; i++) {
+		const line = lines[i];
+		if (!line || line[0] === "#") continue;
+
+		const fields = detectedFormat === "myheritage"
+			? line.split(",").map((field) => field.replace(/^"|"$/g, ""))
+			: line.split(/\t/g);
+		if (fields.length < 4) continue;
+
+		const [rsid, chr, pos] = fields;
+		const call = detectedFormat === "ancestrydna" ? `${fields[3]}${fields[4] ?? ""}` : fields[3];
+		genotypes.push({
+			rsid: rsid.trim(),
+			chr: normalizeChromosome(chr),
+			pos: parseInt(pos),
+			alleles: splitGenotype(call),
+		});
+	}
+
+	return {
+		format: detectedFormat,
+		build: detectGenomeBuild(commentLines),
+		genotypes,
+	};
+}
+
+// ---- VCF ----
+
+function decodeVcfInput(input) {
+	if (typeof input === "string") return input;
+	const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+	// gzip and bgzip (concatenated gzip members) both start with 1f 8b
+	if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+		return pako.inflate(bytes, { to: "string" });
+	}
+	return new TextDecoder().decode(bytes);
+}
+
+// GT "0/1", "1|1", "1" (haploid), "./." -> allele indices written into gt[2s], gt[2s + 1]
+// -1 = missing call, -2 = no second allele (haploid)
+function writeGenotype(gt, sample, value) {
+	const alleles = String(value ?? ".").split(/[/|]/g);
+	if (alleles.some((allele) => allele === "." || allele === "")) {
+		gt[2 * sample] = -1;
+		gt[2 * sample + 1] = -1;
+		return;
+	}
+	gt[2 * sample] = parseInt(alleles[0]);
+	gt[2 * sample + 1] = alleles.length > 1 ? parseInt(alleles[1]) : -2;
+}
+
+// ---- core: parse an uncompressed or bgzip/gzip VCF ----
+export function parseVcf(input, { positions = null } = {}) {
+	/**
+	 * Parse a VCF into per-sample GT (and DS dosage when present).
+	 * @param {string|ArrayBuffer|Uint8Array} input - VCF text, or .vcf / .vcf.gz bytes
+	 * @param {{ positions?: Set<string>|null }} [options] - only keep records whose "chr:pos" is in the set
+	 * @returns {{
+	 *   format: "vcf",
+	 *   build: string|null,
+	 *   samples: string[],
+	 *   records: Array<{
+	 *     chr: string, pos: number, id: string|null, ref: string, alt: string[],
+	 *     gt: Int8Array,        // 2 allele indices per sample, -1 missing, -2 haploid
+	 *     ds: Float64Array|null // ALT dosage per sample and ALT allele (NaN missing)
+	 *   }>
+	 * }}
+	 */
+	const txt = decodeVcfInput(input);
+	const lines = txt.split(/\r\n|\n|\r/g);
+	const metaLines = [];
+	let samples = null;
+	const records = [];
+
+	for (const line of lines) {
+		if (!line) continue;
+		if (line.startsWith("##")) {
+			metaLines.push(line);
+			continue;
+		}
+		if (line.startsWith("#CHROM")) {
+			samples = line.split(/\t/g).slice(9);
+			continue;
+		}
+		if (samples == null) {
+			throw new Error("Invalid VCF: data line found before the #CHROM header line.");
+		}
+
+		const fields = line.split(/\t/g);
+		const chr = normalizeChromosome(fields[0]);
+		const pos = parseInt(fields[1]);
+		if (positions && !positions.has(`${chr}:${pos}`)) continue;
+
+		const alt = fields[4] === "." ? [] : fields[4].split(",").map((allele) => allele.toUpperCase());
+		const formatKeys = (fields[8] ?? "").split(":");
+		const gtIndex = formatKeys.indexOf("GT");
+		const dsIndex = formatKeys.indexOf("DS");
+		const gt = new Int8Array(samples.length * 2).fill(-1);
+		const ds = dsIndex >= 0 && alt.length ? new Float64Array(samples.length * alt.length).fill(NaN) : null;
+
+		samples.forEach((sample, s) => {
+			const values = (fields[9 + s] ?? "").split(":");
+			if (gtIndex >= 0) writeGenotype(gt, s, values[gtIndex]);
+			if (ds) {
+				(values[dsIndex] ?? ".").split(",").forEach((value, k) => {
+					if (k < alt.length && value !== ".") ds[s * alt.length + k] = parseFloat(value);
+				});
+			}
+		});
+
+		records.push({
+			chr,
+			pos,
+			id: fields[2] && fields[2] !== "." ? fields[2] : null,
+			ref: fields[3].toUpperCase(),
+			alt,
+			gt,
+			ds,
+		});
+	}
+
+	return {
+		format: "vcf",
+		build: detectGenomeBuild(metaLines.filter((line) => /^##(reference|contig|assembly)/i.test(line))),
+		samples: samples ?? [],
+		records,
+	};
+}
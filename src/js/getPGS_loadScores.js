@@ -1,6 +1,7 @@
-import localforage from "localforage";
-
-const PGS_BASE = "https://www.pgscatalog.org/rest";
+import { cacheStore } from "./cacheStore.js";
+import { httpFetchAny, httpJson, readJson, reportProgress } from "./httpClient.js";
+import { getRestUrls } from "./config.js";
+import { getCacheState, revalidateInBackground } from "./cachePolicy.js";
 
 const ALL_SCORE_SUMMARY_KEY = "PGS_Catalog:all-score-summary"; //fetchAllScores() & fetchSomeScores() uses this key to cache the full list of scores and their summary, which fetchSomeScores() can then use to source individual scores by ID without needing to fetch from network if cache is valid. Also used as source for getScoresPerTrait() / getScoresPerCategory() to link traits or categories to their specific scores and variants info, rather than relying on the more limited topTraits from the all-scores summary.
 const TRAIT_SUMMARY_KEY = "PGS_Catalog:trait-summary"; // needed in getScoresPerTrait() and getScoresPerCategory()
@@ -16,29 +17,20 @@ function quantile(sorted, q) {
 	return sorted[base] + rest * (sorted[base + 1] - sorted[base]);
 }
 
+// returns the savedAt timestamp written
 async function saveScoreSummary(results, key = ALL_SCORE_SUMMARY_KEY) {
-	if (!localforage) return;
-	await localforage.setItem(key, {
-		savedAt: new Date().toISOString(),
+	const savedAt = new Date().toISOString();
+	await cacheStore.setItem(key, {
+		savedAt,
 		summary: results.summary,
 		scores: results.scores,
 	});
+	return savedAt;
 }
 
 async function getStoredScoreSummary(key = ALL_SCORE_SUMMARY_KEY) {
     // console.log("checking local cache for score summary...");
-	if (!localforage) return null;
-	return localforage.getItem(key);
-}
-
-function isCacheWithinMonths(savedAt, months = 3) {
-	if (!savedAt) return false;
-	const savedDate = new Date(savedAt);
-	if (Number.isNaN(savedDate.getTime())) return false;
-
-	const cutoff = new Date();
-	cutoff.setMonth(cutoff.getMonth() - months);
-	return savedDate >= cutoff;
+	return cacheStore.getItem(key);
 }
 
 function getFetchAllScoresErrorMessage(error, context = {}) {
@@ -327,28 +319,33 @@ export function buildTopCategoriesFromScoresPerCategory(scoresPerCategoryPayload
 
 
 // ---- core: fetch all scores (paginated) ---- total: 5298 as of 2024-06-20
-// Rate-limited - Includes a 200ms delay between requests for safety
+// Rate-limited - requests go through httpClient.js (retry/backoff on 429, Retry-After, concurrency cap)
   // REST docs indicate paginated responses; default is 50 per page. :contentReference[oaicite:4]{index=4}
-export async function fetchAllApiScores({ pageSize = 200 } = {}) {
+export async function fetchAllApiScores({ pageSize = 200, config = null, signal = null, onProgress = null } = {}) {
 	/**
 	 * Fetch all PGS scoring files from the paginated API.
-	 * @param {{ pageSize?: number }} [options]
+	 * @param {{ pageSize?: number, config?: object, signal?: AbortSignal, onProgress?: Function }} [options]
+	 *   config: per-call endpoint overrides (restBase, restMirrors); signal: cancels the paging (rejects with its reason);
+	 *   onProgress: called after every page with { phase: "scores", pages, totalPages, loaded, total, bytes } (see httpClient.js)
 	 * @returns {Promise<object[]>}
 	 */
 	let offset = 0;
 	const all = [];
 	let page = 0;
+	let bytes = 0;
 
 	console.log(`loading all scores from paginated API with page size ${pageSize}...`);
 
 	while (true) {
 		page += 1;
-		const url = `${PGS_BASE}/score/all?format=json&limit=${pageSize}&offset=${offset}`;
+		const urls = getRestUrls(`/score/all?format=json&limit=${pageSize}&offset=${offset}`, config);
+		let url = urls[0];
 		// console.log(`[fetchAllScores] page ${page} request: ${url}`);
 		let response;
 		try {
-			response = await fetch(url);
+			({ response, url } = await httpFetchAny(urls, { signal }));
 		} catch (error) {
+			if (signal?.aborted) throw error;
 			throw new Error(getFetchAllScoresErrorMessage(error, {
 				page,
 				offset,
@@ -365,7 +362,7 @@ export async function fetchAllApiScores({ pageSize = 200 } = {}) {
 				status: response.status,
 			}));
 		}
-		const data = await response.json();
+		const data = await readJson(response, { signal, onChunk: (n) => { bytes += n; } });
 
 		const results = Array.isArray(data) ? data : (data.results ?? []);
 		if (!Array.isArray(results)) throw new Error("Unexpected response format from PGS API.");
@@ -375,6 +372,16 @@ export async function fetchAllApiScores({ pageSize = 200 } = {}) {
 
 		all.push(...results);
 
+		const total = Array.isArray(data) ? null : (data.count ?? null);
+		reportProgress(onProgress, {
+			phase: "scores",
+			pages: page,
+			totalPages: total == null ? null : Math.ceil(total / pageSize),
+			loaded: all.length,
+			total,
+			bytes,
+		});
+
 		if (results.length === 0) {
 			// console.log(`[fetchAllApiScores] stop: empty page at page ${page}`);
 			break;
@@ -386,24 +393,196 @@ export async function fetchAllApiScores({ pageSize = 200 } = {}) {
 
 		offset += results.length;
 		// console.log(`[fetchAllApiScores] next offset=${offset}`);
-		await new Promise((r) => setTimeout(r, 100)); // rate safety
 	}
 	// console.log(`[fetchAllApiScores] done total=${all.length}`);
 	return all;
 }
 
+// download every score, summarize, and (cache) replace the all-score cache entry
+async function loadAllScoresLive({ cache = true, pageSize = 200, config = null, signal = null, onProgress = null } = {}) {
+	const scores = await fetchAllApiScores({ pageSize, config, signal, onProgress });
+	const results = { scores, summary: computeSummary(scores), savedAt: null };
+	if (cache) {
+		results.savedAt = await saveScoreSummary(results, ALL_SCORE_SUMMARY_KEY);
+	}
+	return results;
+}
+
+// ---- core: incremental sync of the all-score cache ----
+// An expired all-score cache is brought up to date without paging through /score/all again:
+//   1. /release/all: IDs in released_score_ids of the releases dated on or after the cache's savedAt
+//   2. /score/all?limit=1: the catalog's current score count
+//   3. /score/{id}: only the released IDs (new ones are added, re-released ones replace the cached copy)
+// If cached + new IDs != the current count (scores were withdrawn, or a release is not listed), or the release
+// lookup fails, it falls back to a full download. Either way the old and new lists are diffed, and the
+// per-trait / per-category caches built from the old list are rebuilt from the new one.
+const RELEASE_PAGE_SIZE = 200;
+
+async function fetchReleasedScoreIdsSince(since, { config = null, signal = null } = {}) {
+	const ids = new Set();
+	let offset = 0;
+	while (true) {
+		const data = await httpJson(getRestUrls(`/release/all?format=json&limit=${RELEASE_PAGE_SIZE}&offset=${offset}`, config), { signal });
+		const releases = Array.isArray(data) ? data : (data.results ?? []);
+		for (const release of releases) {
+			if (String(release?.date ?? "") >= since) {
+				(release.released_score_ids ?? []).forEach((id) => ids.add(String(id)));
+			}
+		}
+		if (!releases.length || Array.isArray(data) || data.next == null) break;
+		offset += releases.length;
+	}
+	return [...ids].sort();
+}
+
+async function fetchScoreCount({ config = null, signal = null } = {}) {
+	const data = await httpJson(getRestUrls("/score/all?format=json&limit=1", config), { signal });
+	if (!Number.isFinite(data?.count)) {
+		throw new Error("PGS API did not report a score count.");
+	}
+	return data.count;
+}
+
+// old vs. new score list -> PGS IDs added, removed, and modified (any field changed)
+function diffScoreLists(before, after) {
+	const beforeById = new Map(before.map((score) => [String(score.id), score]));
+	const afterIds = new Set();
+	const added = [];
+	const modified = [];
+	for (const score of after) {
+		const id = String(score.id);
+		afterIds.add(id);
+		if (!beforeById.has(id)) {
+			added.push(id);
+		} else if (JSON.stringify(beforeById.get(id)) !== JSON.stringify(score)) {
+			modified.push(id);
+		}
+	}
+	const removed = [...beforeById.keys()].filter((id) => !afterIds.has(id));
+	return { added, removed, modified };
+}
+
+// rebuild the per-trait / per-category caches that exist, keeping their maxTraits / maxCategories cut-off
+async function refreshDerivedScoreCaches(scores) {
+	const traitSummary = await getStoredScoreSummary(TRAIT_SUMMARY_KEY);
+	if (!traitSummary?.summary && !traitSummary?.categories) return [];
+	const refreshed = [];
+
+	const perTrait = await getStoredScoreSummary(SCORES_PER_TRAIT_SUMMARY_KEY);
+	if (perTrait?.scoresPerTrait) {
+		const maxTraits = perTrait.processedTraits < perTrait.totalTraitEntries ? perTrait.processedTraits : Infinity;
+		await buildScoresPerTrait(scores, traitSummary, maxTraits);
+		refreshed.push(SCORES_PER_TRAIT_SUMMARY_KEY);
+	}
+	const perCategory = await getStoredScoreSummary(SCORES_PER_CATEGORY_SUMMARY_KEY);
+	if (perCategory?.scoresPerCategory) {
+		const maxCategories = perCategory.processedCategories < perCategory.totalCategoryEntries ? perCategory.processedCategories : Infinity;
+		await buildScoresPerCategory(scores, traitSummary, maxCategories);
+		refreshed.push(SCORES_PER_CATEGORY_SUMMARY_KEY);
+	}
+	return refreshed;
+}
+
+export async function syncAllScores({ full = false, pageSize = 200, config = null, signal = null, onProgress = null } = {}) {
+	/**
+	 * Update the all-score cache (PGS_Catalog:all-score-summary) with the scores released since it was saved,
+	 * falling back to a full download when the incremental update cannot account for the catalog's score count.
+	 * @param {{ full?: boolean, pageSize?: number, config?: object, signal?: AbortSignal, onProgress?: Function }} [options]
+	 *   full: skip the incremental update; signal / onProgress: see fetchAllApiScores() (the incremental update
+	 *   reports the released IDs as fetchSomeAPIScores() does)
+	 * @returns {Promise<{
+	 *   scores: object[], summary: object, savedAt: string,
+	 *   sync: {
+	 *     mode: "incremental"|"full", reason: string|null, // reason: why a full download was needed
+	 *     added: string[], removed: string[], modified: string[], total: number,
+	 *     derived: string[] // derived cache keys rebuilt (scores-per-trait / scores-per-category summaries)
+	 *   }
+	 * }>}
+	 */
+	const cached = await getStoredScoreSummary(ALL_SCORE_SUMMARY_KEY);
+	const before = cached?.scores ?? [];
+	let reason = null;
+	let scores = null;
+
+	if (full) {
+		reason = "full sync requested";
+	} else if (!before.length || Number.isNaN(Date.parse(cached?.savedAt))) {
+		reason = "no cached score list";
+	} else {
+		try {
+			const since = new Date(cached.savedAt).toISOString().slice(0, 10);
+			const [releasedIds, total] = await Promise.all([
+				fetchReleasedScoreIdsSince(since, { config, signal }),
+				fetchScoreCount({ config, signal }),
+			]);
+			const cachedIds = new Set(before.map((score) => String(score.id)));
+			const newIds = releasedIds.filter((id) => !cachedIds.has(id));
+			if (before.length + newIds.length !== total) {
+				reason = `score count mismatch: ${before.length} cached + ${newIds.length} released != ${total} in the catalog`;
+			} else {
+				const fetched = await fetchSomeAPIScores(releasedIds, { config, signal, onProgress });
+				const fetchedById = new Map(fetched.map((score) => [String(score.id), score]));
+				if (releasedIds.some((id) => !fetchedById.has(id))) {
+					reason = "some released scores could not be fetched";
+				} else {
+					scores = [
+						...before.map((score) => fetchedById.get(String(score.id)) ?? score),
+						...newIds.map((id) => fetchedById.get(id)),
+					];
+				}
+			}
+		} catch (error) {
+			if (signal?.aborted) throw error;
+			reason = `incremental sync failed: ${error?.message ?? error}`;
+		}
+	}
+
+	const mode = scores ? "incremental" : "full";
+	if (!scores) {
+		scores = await fetchAllApiScores({ pageSize, config, signal, onProgress });
+	}
+	const changes = diffScoreLists(before, scores);
+	const summary = computeSummary(scores);
+	const savedAt = await saveScoreSummary({ scores, summary }, ALL_SCORE_SUMMARY_KEY);
+	const changed = changes.added.length || changes.removed.length || changes.modified.length;
+	const derived = changed ? await refreshDerivedScoreCaches(scores) : [];
+	return {
+		scores,
+		summary,
+		savedAt,
+		sync: { mode, reason, ...changes, total: scores.length, derived },
+	};
+}
+
 // ES6 MODULE: fetchAllScores() is the main function to get scores data and summary,
 // using cache if available and valid, and falling back to cache if fetch fails.
 // Higher-level app function
-// Checks LocalForage cache first (3-month validity)
-// If needed, calls fetchAllScores(), computes summary, caches result
+// Checks the cache first (cacheStore.js; freshness: cachePolicy.js, resource "scores")
+// If needed, calls fetchAllScores(), computes summary, caches result; an expired cache is updated with syncAllScores()
 // Returns { scores, summary } (not just raw array)
-export async function fetchAllScores({ cache = true, pageSize = 200 } = {}) {
+export async function fetchAllScores({
+	cache = true,
+	pageSize = 200,
+	config = null,
+	signal = null,
+	onProgress = null,
+	maxAge = null,
+	forceRefresh = false,
+	staleWhileRevalidate = null,
+	incremental = true,
+} = {}) {
 	/**
 	 * Load full score dataset and summary.
-	 * Uses all-score LocalForage cache when valid, otherwise fetches and refreshes cache.
-	 * @param {{ cache?: boolean, pageSize?: number }} [options]
-	 * @returns {Promise<{scores: object[], summary: object|null}>}
+	 * Uses the all-score cache while it is fresh, otherwise fetches and refreshes cache.
+	 * @param {{
+	 *   cache?: boolean, pageSize?: number, config?: object, signal?: AbortSignal, onProgress?: Function,
+	 *   maxAge?: number, forceRefresh?: boolean, staleWhileRevalidate?: boolean, incremental?: boolean
+	 * }} [options] - config: per-call endpoint and cache overrides; signal / onProgress: see fetchAllApiScores().
+	 *   An abort is thrown, not answered from the cache. maxAge / forceRefresh / staleWhileRevalidate: see cachePolicy.js.
+	 *   incremental: update an expired cache with syncAllScores() (forceRefresh always downloads everything)
+	 * @returns {Promise<{scores: object[], summary: object|null, source: string, savedAt: string|null, stale: boolean, sync: object|null}>}
+	 *   stale: the cached copy is past its TTL and is being refreshed in the background;
+	 *   sync: syncAllScores() report (added / removed / modified IDs) when an existing cache was refreshed
 	 */
 	// console.log("fetchAllScores():Loading scores function...");
 	const results = {
@@ -412,34 +591,39 @@ export async function fetchAllScores({ cache = true, pageSize = 200 } = {}) {
 		errorMessage: null,
 		source: null,
 		savedAt: null,
+		stale: false,
+		sync: null,
 	};
 
 	const cached = cache ? await getStoredScoreSummary(ALL_SCORE_SUMMARY_KEY) : null;
+	const cacheState = getCacheState("scores", cached?.summary, cached?.savedAt, { maxAge, forceRefresh, staleWhileRevalidate, config });
 
 	try {
-		if (cache && cached?.summary && isCacheWithinMonths(cached.savedAt, 3)) {
+		if (cacheState === "fresh" || cacheState === "stale") {
 			results.summary = cached.summary;
 			results.scores = cached.scores ?? [];
 			results.source = "cache";
 			results.savedAt = cached.savedAt ?? null;
-	
+			if (cacheState === "stale") {
+				results.stale = true;
+				revalidateInBackground(ALL_SCORE_SUMMARY_KEY, () => syncAllScores({ full: !incremental, pageSize, config }));
+			}
 			return results;
 		}
 
-		const scores = await fetchAllApiScores({ pageSize });
-
-		const summary = computeSummary(scores);
+		const { scores, summary, savedAt, sync } = cached?.summary
+			? await syncAllScores({ full: forceRefresh || !incremental, pageSize, config, signal, onProgress })
+			: await loadAllScoresLive({ cache, pageSize, config, signal, onProgress });
 		results.scores = scores;
 		results.summary = summary;
-		if (cache) {
-			await saveScoreSummary(results, ALL_SCORE_SUMMARY_KEY);
-		}
 		results.source = "live";
-		results.savedAt = new Date().toISOString();
+		results.savedAt = savedAt ?? new Date().toISOString();
+		results.sync = sync ?? null;
 
 		// console.log("Fetched scores data:", scores);
 		return results;
 	} catch (error) {
+		if (signal?.aborted) throw error;
 		results.errorMessage = getFetchAllScoresErrorMessage(error);
 		if (cache && cached?.summary) {
 			results.summary = cached.summary;
@@ -467,7 +651,11 @@ export async function fetchSomeScores(ids, ...args) {
 	 * Load specific scores by ID.
 	 * Prefers all-score cache and fetches only missing IDs when needed.
 	 * @param {string|string[]} ids
-	 * @param {...(string|{cache?: boolean})} args
+	 * @param {...(string|{
+	 *   cache?: boolean, config?: object, signal?: AbortSignal, onProgress?: Function,
+	 *   maxAge?: number, forceRefresh?: boolean, staleWhileRevalidate?: boolean
+	 * })} args - signal / onProgress: see fetchSomeAPIScores(), used for the IDs that are not in the all-score cache;
+	 *   maxAge / forceRefresh / staleWhileRevalidate apply to the all-score cache (resource "scores", see cachePolicy.js)
 	 * @returns {Promise<{scores: object[], summary: object|null}>}
 	 */
 	// console.log("fetchSomeScores():Loading scores function...");
@@ -488,7 +676,15 @@ export async function fetchSomeScores(ids, ...args) {
 		moreIds = args.slice(0, -1);
 	}
 
-	const { cache = true } = options;
+	const {
+		cache = true,
+		config = null,
+		signal = null,
+		onProgress = null,
+		maxAge = null,
+		forceRefresh = false,
+		staleWhileRevalidate = null,
+	} = options;
 	const rawIds = moreIds.length ? [ids, ...moreIds] : ids;
 	const inputIds = Array.isArray(rawIds) ? rawIds : [rawIds];
 	const requestedIds = [...new Set(
@@ -499,8 +695,13 @@ export async function fetchSomeScores(ids, ...args) {
 	const allScoresCached = cache ? await getStoredScoreSummary(ALL_SCORE_SUMMARY_KEY) : null;
 	// console.log("fetchSomeScores():all-score cache present:", Boolean(allScoresCached?.scores?.length));
 
+	const cacheState = getCacheState("scores", allScoresCached?.scores, allScoresCached?.savedAt, { maxAge, forceRefresh, staleWhileRevalidate, config });
+
 	try {
-		if (cache && allScoresCached?.scores && isCacheWithinMonths(allScoresCached.savedAt, 3)) {
+		if (cacheState === "stale") {
+			revalidateInBackground(ALL_SCORE_SUMMARY_KEY, () => syncAllScores({ config }));
+		}
+		if (cacheState === "fresh" || cacheState === "stale") {
 			const scoreById = new Map(
 				allScoresCached.scores
 					.filter((score) => score?.id != null)
@@ -518,7 +719,7 @@ export async function fetchSomeScores(ids, ...args) {
 
 			const missingIds = requestedIds.filter((id) => !scoreById.has(id));
 			console.warn("fetchSomeScores(): missing IDs in all-score cache, fetching:", missingIds);
-			const fetchedMissingScores = await fetchSomeAPIScores(missingIds);
+			const fetchedMissingScores = await fetchSomeAPIScores(missingIds, { config, signal, onProgress });
 			const fetchedById = new Map(
 				fetchedMissingScores
 					.filter((score) => score?.id != null)
@@ -532,7 +733,7 @@ export async function fetchSomeScores(ids, ...args) {
 			return results;
 		}
 
-		const scores = await fetchSomeAPIScores(requestedIds);
+		const scores = await fetchSomeAPIScores(requestedIds, { config, signal, onProgress });
 		const summary = computeSummary(scores);
 		results.scores = scores;
 		results.summary = summary;
@@ -543,6 +744,7 @@ export async function fetchSomeScores(ids, ...args) {
 
 		return results;
 	} catch (error) {
+		if (signal?.aborted) throw error;
 		console.error(error);
 		return results;
 	}
@@ -552,14 +754,17 @@ export async function fetchSomeScores(ids, ...args) {
 // What it does:
 // Accepts flexible input - Takes a single ID or an array of IDs
 // Normalizes & deduplicates - Converts inputs to strings, trims whitespace, and removes duplicates
-// Fetches directly from the API - Calls https://www.pgscatalog.org/rest/score/{id} for each requested ID
-// Rate-limited - Includes a 200ms delay between requests for safety
+// Fetches directly from the API - Calls {restBase}/score/{id} for each requested ID (then the restMirrors, see config.js)
+// Rate-limited - requests run in parallel through httpClient.js, which caps concurrency and backs off on 429
 // Returns results - Array of fetched score objects; skips IDs that fail to fetch (with warnings)
-export async function fetchSomeAPIScores(ids = []) {
+export async function fetchSomeAPIScores(ids = [], { config = null, signal = null, onProgress = null } = {}) {
 	/**
 	 * Fetch one or more PGS scoring files by ID.
 	 * Accepts a single ID or array; normalizes and de-duplicates IDs.
 	 * @param {string|string[]} ids
+	 * @param {{ config?: object, signal?: AbortSignal, onProgress?: Function }} [options] - config: per-call endpoint
+	 *   overrides (restBase, restMirrors); signal: cancels the requests (rejects with its reason);
+	 *   onProgress: called as each ID finishes with { phase: "scores", id, loaded, total, bytes } (see httpClient.js)
 	 * @returns {Promise<object[]>}
 	 */
 	const inputIds = Array.isArray(ids) ? ids : [ids];
@@ -568,24 +773,23 @@ export async function fetchSomeAPIScores(ids = []) {
 			.map((id) => String(id ?? "").trim())
 			.filter(Boolean)
 	)];
-	const results = [];
-
-	for (const id of normalizedIds) {
-		const url = `${PGS_BASE}/score/${id}`;
-
-		const response = await fetch(url);
-
-		if (!response.ok) {
+	let loaded = 0;
+	let bytes = 0;
+	const results = await Promise.all(normalizedIds.map(async (id) => {
+		const { response } = await httpFetchAny(getRestUrls(`/score/${id}`, config), { signal });
+
+		let score = null;
+		if (response.ok) {
+			score = await readJson(response, { signal, onChunk: (n) => { bytes += n; } });
+		} else {
 			console.warn(`Skipping ${id} (status ${response.status})`);
-			continue;
 		}
+		loaded += 1;
+		reportProgress(onProgress, { phase: "scores", id, loaded, total: normalizedIds.length, bytes });
+		return score;
+	}));
 
-		const data = await response.json();
-		results.push(data);
-		await new Promise((r) => setTimeout(r, 200)); // rate safety
-	}
-
-	return results;
+	return results.filter(Boolean);
 }
 //---------------START OF TRAIT-SCORE AND CATEGORY-SCORE LINKING LOGIC------------------
 
@@ -691,16 +895,24 @@ function getTraitToPgsIdsFromTraitSummary(traitSummary) {
 
 
 // TRAITS/CATEGORIES are linked indirectly through the cached traitSummary object, using PGS IDs as the bridge.
-export async function getScoresPerTrait({ forceRefresh = false, maxTraits = Infinity } = {}) {
+export async function getScoresPerTrait({ forceRefresh = false, maxTraits = Infinity, maxAge = null, staleWhileRevalidate = null, config = null, signal = null, onProgress = null } = {}) {
 	/**
 	 * Build and cache trait -> scores mapping using trait-summary-linked PGS IDs.
 	 * Optimized: loads all scores once and builds a Map lookup instead of calling fetchSomeScores() per trait.
-	 * @param {{ forceRefresh?: boolean, maxTraits?: number }} [options]
+	 * @param {{
+	 *   forceRefresh?: boolean, maxTraits?: number, maxAge?: number, staleWhileRevalidate?: boolean, config?: object,
+	 *   signal?: AbortSignal, onProgress?: Function
+	 * }} [options] - forceRefresh / maxAge / staleWhileRevalidate: see cachePolicy.js (resource "scoresPerTrait");
+	 *   signal / onProgress: passed to fetchAllScores() when the all-score list has to be downloaded
 	 * @returns {Promise<object>}
 	 */
 	// console.log("getScoresPerTrait():Loading scores per trait...");
 	const cached = await getStoredScoreSummary(SCORES_PER_TRAIT_SUMMARY_KEY);
-	if (!forceRefresh && cached?.scoresPerTrait) {
+	const cacheState = getCacheState("scoresPerTrait", cached?.scoresPerTrait, cached?.savedAt, { maxAge, forceRefresh, staleWhileRevalidate, config });
+	if (cacheState === "stale") {
+		revalidateInBackground(SCORES_PER_TRAIT_SUMMARY_KEY, () => getScoresPerTrait({ forceRefresh: true, maxTraits, config }));
+	}
+	if (cacheState === "fresh" || cacheState === "stale") {
 		return cached;
 	}
 
@@ -710,7 +922,12 @@ export async function getScoresPerTrait({ forceRefresh = false, maxTraits = Infi
 	}
 
 	// Load all scores once and build a Map for fast lookup
-	const { scores: allScores } = await fetchAllScores();
+	const { scores: allScores } = await fetchAllScores({ config, signal, onProgress });
+	return buildScoresPerTrait(allScores, traitSummary, maxTraits);
+}
+
+// trait -> scores payload from the all-score list, saved under SCORES_PER_TRAIT_SUMMARY_KEY
+async function buildScoresPerTrait(allScores, traitSummary, maxTraits = Infinity) {
 	const scoreById = new Map(
 		allScores
 			.filter((score) => score?.id != null)
@@ -741,23 +958,31 @@ export async function getScoresPerTrait({ forceRefresh = false, maxTraits = Infi
 		scoresPerTrait,
 	};
 
-	await localforage.setItem(SCORES_PER_TRAIT_SUMMARY_KEY, payload);
+	await cacheStore.setItem(SCORES_PER_TRAIT_SUMMARY_KEY, payload);
 	return payload;
 }
 
 //---------------START OF CATEGORY-SCORE LINKING LOGIC------------------
 
 // TODO error: 1700 traits vs 669. 
-export async function getScoresPerCategory({ forceRefresh = false, maxCategories = Infinity } = {}) {
+export async function getScoresPerCategory({ forceRefresh = false, maxCategories = Infinity, maxAge = null, staleWhileRevalidate = null, config = null, signal = null, onProgress = null } = {}) {
 	/**
 	 * Build and cache category -> scores mapping using trait-summary-linked PGS IDs.
 	 * Optimized: loads all scores once and builds a Map lookup instead of calling fetchSomeScores() per category.
-	 * @param {{ forceRefresh?: boolean, maxCategories?: number }} [options]
+	 * @param {{
+	 *   forceRefresh?: boolean, maxCategories?: number, maxAge?: number, staleWhileRevalidate?: boolean, config?: object,
+	 *   signal?: AbortSignal, onProgress?: Function
+	 * }} [options] - forceRefresh / maxAge / staleWhileRevalidate: see cachePolicy.js (resource "scoresPerCategory");
+	 *   signal / onProgress: passed to fetchAllScores() when the all-score list has to be downloaded
 	 * @returns {Promise<object>}
 	 */
 	// console.log("getScoresPerCategory():Loading scores per category...");
 	const cached = await getStoredScoreSummary(SCORES_PER_CATEGORY_SUMMARY_KEY);
-	if (!forceRefresh && cached?.scoresPerCategory) {
+	const cacheState = getCacheState("scoresPerCategory", cached?.scoresPerCategory, cached?.savedAt, { maxAge, forceRefresh, staleWhileRevalidate, config });
+	if (cacheState === "stale") {
+		revalidateInBackground(SCORES_PER_CATEGORY_SUMMARY_KEY, () => getScoresPerCategory({ forceRefresh: true, maxCategories, config }));
+	}
+	if (cacheState === "fresh" || cacheState === "stale") {
 		return cached;
 	}
 
@@ -767,7 +992,12 @@ export async function getScoresPerCategory({ forceRefresh = false, maxCategories
 	}
 
 	// Load all scores once and build a Map for fast lookup
-	const { scores: allScores } = await fetchAllScores();
+	const { scores: allScores } = await fetchAllScores({ config, signal, onProgress });
+	return buildScoresPerCategory(allScores, traitSummary, maxCategories);
+}
+
+// category -> scores payload from the all-score list, saved under SCORES_PER_CATEGORY_SUMMARY_KEY
+async function buildScoresPerCategory(allScores, traitSummary, maxCategories = Infinity) {
 	const scoreById = new Map(
 		allScores
 			.filter((score) => score?.id != null)
@@ -798,19 +1028,19 @@ export async function getScoresPerCategory({ forceRefresh = false, maxCategories
 		scoresPerCategory,
 	};
 
-	await localforage.setItem(SCORES_PER_CATEGORY_SUMMARY_KEY, payload);
+	await cacheStore.setItem(SCORES_PER_CATEGORY_SUMMARY_KEY, payload);
 	return payload;
 }
-export async function getScoresPerCategory2({ forceRefresh = false } = {}) {
+export async function getScoresPerCategory2({ forceRefresh = false, maxAge = null, config = null } = {}) {
 	/**
 	 * Build and cache category -> scores mapping using trait-summary-linked PGS IDs.
 	 * Optimized: loads all scores once and builds a Map lookup instead of calling fetchSomeScores() per category.
-	 * @param {{ forceRefresh?: boolean }} [options]
+	 * @param {{ forceRefresh?: boolean, maxAge?: number, config?: object }} [options] - see cachePolicy.js (resource "scoresPerCategory")
 	 * @returns {Promise<object>}
 	 */
 	// console.log("getScoresPerCategory2():Loading scores per category...");
 	const cached = await getStoredScoreSummary("SCORES_PER_CATEGORY_SUMMARY_KEY_2");
-	if (!forceRefresh && cached?.categories) {
+	if (getCacheState("scoresPerCategory", cached?.categories, cached?.savedAt, { maxAge, forceRefresh, staleWhileRevalidate: false, config }) === "fresh") {
 		return cached;
 	}
 
@@ -820,7 +1050,7 @@ export async function getScoresPerCategory2({ forceRefresh = false } = {}) {
 	}
 
 	// Load all scores once and build a Map for fast lookup
-	const { scores: allScores } = await fetchAllScores();
+	const { scores: allScores } = await fetchAllScores({ config });
 	const scoreById = new Map(
 		allScores
 			.filter((score) => score?.id != null)
@@ -848,7 +1078,7 @@ export async function getScoresPerCategory2({ forceRefresh = false } = {}) {
 		categories,
 	};
 
-	await localforage.setItem("SCORES_PER_CATEGORY_SUMMARY_KEY_2", payload);
+	await cacheStore.setItem("SCORES_PER_CATEGORY_SUMMARY_KEY_2", payload);
 	return payload;
 }
 //---------------END OF CATEGORY-SCORE LINKING LOGIC------------------
@@ -1,26 +1,28 @@
 
-import localforage from "localforage";
+import { cacheStore } from "./cacheStore.js";
+import { httpJson, reportProgress } from "./httpClient.js";
+import { getRestUrls } from "./config.js";
+import { getCacheState, revalidateInBackground } from "./cachePolicy.js";
 
 
 // load all traits (paginated) and log stats about them to console  
-const BASE = "https://www.pgscatalog.org/rest";
 const TRAIT_SUMMARY_KEY = "PGS_Catalog:trait-summary";
 
 // ---- small helpers ----
 
-export async function rawTraitArrayFromAPI({ pageSize = 50, maxPages = Infinity } = {}) {
+// options.signal: AbortSignal that cancels the paging; options.onProgress: called after every page
+// with { phase: "traits", pages, totalPages, loaded, total, bytes } (event fields: see httpClient.js)
+export async function rawTraitArrayFromAPI({ pageSize = 50, maxPages = Infinity, config = null, signal = null, onProgress = null } = {}) {
   let offset = 0;
   let page = 0;
+  let bytes = 0;
   const all = [];
   while (page < maxPages) {
 	// console.log("rawTraitArrayFromAPI(), Fetching traits with pageSize:", pageSize, "maxPages:", maxPages);
 
-    const url = `${BASE}/trait/all?format=json&limit=${pageSize}&offset=${offset}`;
-	// console.log("rawTraitArrayFromAPI(), Requesting traits from URL:", url);
-    // console.log(`traits****Requesting: ${url}`);
-    const r = await fetch(url);
-    if (!r.ok) throw new Error(`HTTP ${r.status} on ${url}`);
-    const data = await r.json();
+    const urls = getRestUrls(`/trait/all?format=json&limit=${pageSize}&offset=${offset}`, config);
+	// console.log("rawTraitArrayFromAPI(), Requesting traits from URL:", urls[0]);
+    const data = await httpJson(urls, { signal, onChunk: (n) => { bytes += n; } });
 
     const results = Array.isArray(data) ? data : (data.results ?? []);
     if (!Array.isArray(results)) throw new Error("Unexpected trait response shape.");
@@ -28,6 +30,16 @@ export async function rawTraitArrayFromAPI({ pageSize = 50, maxPages = Infinity
     all.push(...results);
     page += 1;
 
+    const total = Array.isArray(data) ? null : (data.count ?? null);
+    reportProgress(onProgress, {
+      phase: "traits",
+      pages: page,
+      totalPages: total == null ? null : Math.min(maxPages, Math.ceil(total / pageSize)),
+      loaded: all.length,
+      total: total == null ? null : Math.min(total, maxPages * pageSize),
+      bytes,
+    });
+
     if (results.length === 0) break;
     if (!Array.isArray(data) && data.next == null && results.length < pageSize) break;
 
@@ -39,7 +51,7 @@ export async function rawTraitArrayFromAPI({ pageSize = 50, maxPages = Infinity
 
 
 async function saveTraitSummary(summary) {
-	await localforage.setItem(TRAIT_SUMMARY_KEY, 
+	await cacheStore.setItem(TRAIT_SUMMARY_KEY, 
 		//savedAt: new Date().toISOString(),
 		summary
 	);
@@ -47,18 +59,7 @@ async function saveTraitSummary(summary) {
 
 async function getStoredTraitSummary() {
     // console.log("checking local cache for trait summary...");
-	return localforage.getItem(TRAIT_SUMMARY_KEY);
-}
-
-function isCacheWithinMonths(savedAt, months = 3) {
-	if (!savedAt) return false;
-	const savedDate = new Date(savedAt);
-	if (Number.isNaN(savedDate.getTime())) return false;
-
-	const cutoff = new Date();
-	cutoff.setMonth(cutoff.getMonth() - months);
-
-	return savedDate >= cutoff;
+	return cacheStore.getItem(TRAIT_SUMMARY_KEY);
 }
 
 
@@ -148,37 +149,58 @@ function computeSummary(traits) {//used in fetchDataAndRenderPlots()
 		categories,
 	};
 }
-export async function fetchTraits() {
+// download every trait, summarize, and replace the trait-summary cache entry
+async function loadTraitsLive({ config = null, signal = null, onProgress = null } = {}) {
+	const traits = await rawTraitArrayFromAPI({ pageSize: 200, config, signal, onProgress });
+	// console.log("###############fetchTraits(), Raw traits fetched:", traits.length, traits);
+	const summary = await computeSummary(traits);
+	// console.log('------------------------------');
+	// console.log("Total traits fetched:", traits.length);
+	// console.log("Summary:", summary);
+
+	const res = {
+		summary: summary,
+		source: "live",
+		savedAt: new Date().toISOString(),
+	};
+	await saveTraitSummary(res);
+	return res;
+}
+
+// options.config: per-call endpoint and cache overrides (restBase, restMirrors, cacheTtl, see config.js)
+// options.signal / options.onProgress: passed to rawTraitArrayFromAPI(); an abort is thrown, not answered from the cache
+// options.maxAge / forceRefresh / staleWhileRevalidate: see cachePolicy.js (resource "traits");
+// a stale summary is returned with stale: true while it is refreshed in the background
+export async function fetchTraits({
+	config = null,
+	signal = null,
+	onProgress = null,
+	maxAge = null,
+	forceRefresh = false,
+	staleWhileRevalidate = null,
+} = {}) {
 	// console.log("fetchTraits(), Loading fetchTraits()...");
 
 	const cached = await getStoredTraitSummary();
 	// console.log("fetchTraits(), Cached trait data available???", cached);
+	const cacheState = getCacheState("traits", cached?.summary, cached?.savedAt, { maxAge, forceRefresh, staleWhileRevalidate, config });
 
 	try {
-		if (cached?.summary && isCacheWithinMonths(cached.savedAt, 3)) {
+		if (cacheState === "fresh" || cacheState === "stale") {
+			if (cacheState === "stale") {
+				revalidateInBackground(TRAIT_SUMMARY_KEY, () => loadTraitsLive({ config }));
+			}
 			return {
 				summary: cached.summary,
 				source: "cache",
 				savedAt: cached.savedAt,
+				stale: cacheState === "stale",
 			};
 		}
 
-		const traits = await rawTraitArrayFromAPI({ pageSize: 200 });
-		// console.log("###############fetchTraits(), Raw traits fetched:", traits.length, traits);
-		const summary = await computeSummary(traits);
-		// console.log('------------------------------');
-		// console.log("Total traits fetched:", traits.length);
-		// console.log("Summary:", summary);
-
-		const res = {
-			summary: summary,
-			source: "live",
-			savedAt: new Date().toISOString(),
-		};
-		await saveTraitSummary(res);
-		return res;
+		return await loadTraitsLive({ config, signal, onProgress });
 	} catch (error) {
-		if (cached?.summary) {
+		if (cached?.summary && !signal?.aborted) {
 			console.error(error);
 			return {
 				summary: cached.summary,
@@ -1,137 +1,551 @@
-import localforage from "localforage";
+import { cacheStore } from "./cacheStore.js";
 import pako from "pako";
+import { fromColumnar, toColumnar } from "./scoreColumns.js";
+import { GzipCorruptError, HttpStatusError, NotHarmonizedError, ScoreFileTooLargeError } from "./errors.js";
+import { getContentLength, httpFetch, httpFetchAny, readBody, reportProgress } from "./httpClient.js";
+import { getScoringFileUrls } from "./config.js";
+import { getCacheState, revalidateInBackground } from "./cachePolicy.js";
+import { enforceCacheQuota, recordCacheAccess, recordCacheWrite } from "./cacheManager.js";
 // console.log("get-pgscatalog-scores: getPGS_loadTxts.js loaded")
 
-// load all traits (paginated) and log stats about them to console  
-const getScoreUrl = (id, build = 37) => `https://ftp.ebi.ac.uk/pub/databases/spot/pgs/scores/${id}/ScoringFiles/Harmonized/${id}_hmPOS_GRCh${build}.txt.gz`;
-const MAX_PGS_CACHE_BYTES = 300 * 1024 * 1024;
+// scoring file URLs (primary + mirrors) come from config.js:
+// source "harmonized": ScoringFiles/Harmonized/<id>_hmPOS_GRCh<build>.txt.gz, "original": author-submitted ScoringFiles/<id>.txt.gz
 const PGS_KEY_PREFIX = "PGS_Catalog:id-";
+const MAX_ROWS = 1000000;
+const PREVIEW_BYTES = 64 * 1024; // first Range request of previewScoreFile(), enough for the header of every catalog file
+const GENOME_BUILDS = [37, 38];
+const SCORE_SOURCES = ["harmonized", "original"];
+// older author-submitted files use different names for some columns
+const COLUMN_ALIASES = {
+    reference_allele: "other_allele",
+};
+// typed header fields (everything else is kept as a string)
+const HEADER_TYPES = {
+    variants_number: "int",
+    trait_efo: "list",
+    trait_mapped: "list",
+    HmPOS_match_chr: "json",
+    HmPOS_match_pos: "json",
+};
+// format 1.0 headers use "# Label = value" lines instead of "#key=value"
+const HEADER_V1_KEYS = {
+    "PGS ID": "pgs_id",
+    "PGS Name": "pgs_name",
+    "Reported Trait": "trait_reported",
+    "Mapped Trait(s) (EFO label)": "trait_mapped",
+    "Mapped Trait(s) (EFO ID)": "trait_efo",
+    "Original Genome Build": "genome_build",
+    "Number of Variants": "variants_number",
+    "PGP ID": "pgp_id",
+    "Citation": "citation",
+    "LICENSE": "license",
+};
 
+// accepts 37, 38, "37", "GRCh37", "GRCh38" -> 37 | 38
+function normalizeBuild(build = 37) {
+    const num = parseInt(String(build).replace(/^GRCh/i, ''))
+    if (!GENOME_BUILDS.includes(num)) {
+        throw new Error(`Unsupported genome build "${build}". Use one of: ${GENOME_BUILDS.map(b => `GRCh${b}`).join(', ')}`)
+    }
+    return num
+}
 
-
-function getByteSize(value) {
-    const encoded = JSON.stringify(value) ?? "";
-    if (typeof TextEncoder !== "undefined") {
-        return new TextEncoder().encode(encoded).length;
+function normalizeSource(source = "harmonized") {
+    if (!SCORE_SOURCES.includes(source)) {
+        throw new Error(`Unsupported scoring file source "${source}". Use one of: ${SCORE_SOURCES.join(', ')}`)
     }
-    return encoded.length * 2;
+    return source
 }
 
-async function getTxts(ids, _unused, cache = true) {
+// one cache entry per scoring file and build, e.g. PGS_Catalog:id-PGS000001:GRCh38
+// original files are not build-specific: PGS_Catalog:id-PGS000001:original
+const getScoreCacheKey = (id, build, source = "harmonized") => source == "original"
+    ? `${PGS_KEY_PREFIX}${id}:original`
+    : `${PGS_KEY_PREFIX}${id}:GRCh${build}`;
+
+
+
+// options: { build = 37, source = "harmonized", stream = true, maxRows = MAX_ROWS, columnar = false, cache = true, config, signal,
+//            onProgress, maxAge, forceRefresh, staleWhileRevalidate }
+// build: harmonized genome build to download (37 or 38), reported back as score.build ("GRCh37" | "GRCh38")
+// source: "harmonized" or "original" (author-submitted file, score.build is then its #genome_build header)
+// stream: inflate and parse the scoring file chunk by chunk instead of decoding it into one string first
+// cache: false neither reads nor writes the cache (the positional third argument still works for older callers)
+// columnar: return score.columnar (typed arrays + dictionary-encoded columns, see scoreColumns.js) instead of score.dt
+// config: per-call endpoint overrides (scoringFileBase, scoringFileMirrors, templates, see config.js)
+// signal: AbortSignal that cancels every download; getTxts() then rejects with the abort reason (no per-ID failure entries)
+// onProgress: called per downloaded chunk and per finished file with { phase: "scoring-files", id, loaded, total, bytes, totalBytes }
+// (loaded / total count files, cache hits included; totalBytes is null until every file's size is known, see httpClient.js)
+// maxAge / forceRefresh / staleWhileRevalidate: cache freshness (resource "scoringFiles", see cachePolicy.js);
+// a stale file is returned with stale: true and downloaded again in the background
+// the cache always stores the columnar form (no raw txt); cache hits are expanded back to dt unless columnar is set
+// one entry per id, in order: the score with ok: true, or { id, ok: false, error } when that file failed to load
+// (error is one of the errors.js classes: HttpStatusError, NotHarmonizedError, ScoreFileTooLargeError, GzipCorruptError)
+async function getTxts(ids, options, legacyCache = true) {
     // console.log("getTxts()", ids)
+    const {
+        cache = legacyCache,
+        stream = true,
+        maxRows = MAX_ROWS,
+        columnar = false,
+        config = null,
+        signal = null,
+        onProgress = null,
+        maxAge = null,
+        forceRefresh = false,
+        staleWhileRevalidate = null
+    } = options ?? {}
+    const build = normalizeBuild(options?.build)
+    const source = normalizeSource(options?.source)
+
+    // per file: bytes downloaded, and bytes expected (undefined = not started, null = unknown size)
+    const fileBytes = ids.map(() => 0)
+    const fileTotals = ids.map(() => undefined)
+    let loaded = 0
+    const sum = values => values.reduce((a, b) => a + b, 0)
+    const report = (i) => reportProgress(onProgress, {
+        phase: "scoring-files",
+        id: ids[i],
+        loaded,
+        total: ids.length,
+        bytes: sum(fileBytes),
+        totalBytes: fileTotals.every(total => total != null) ? sum(fileTotals) : null
+    })
+    const onFileProgress = (i) => ({ bytes, totalBytes }) => {
+        fileBytes[i] = bytes
+        fileTotals[i] = totalBytes
+        report(i)
+    }
+    const fileDone = (i) => {
+        loaded += 1
+        fileTotals[i] = fileBytes[i]
+        report(i)
+    }
+
+    const downloadOptions = { build, source, stream, maxRows, config, cache }
+    const cacheHits = []
+
     let data = await Promise.all(ids.map(async (id, i) => {
         let score = null
+        let stale = false
 
-        if (cache) {
-            score = await localforage.getItem(`${PGS_KEY_PREFIX}${id}`)
-            // console.log(`Cache lookup for ${PGS_KEY_PREFIX}${id}:`, score ? "HIT" : "MISS")
-        }
-
-        if (score == null) {
-            // console.log(`Cache miss for ${id}. Fetching from network...`)
-            score = await parseScore(id, await fetchScore(id))
+        try {
             if (cache) {
-                score.cachedAt = Date.now()
-                await localforage.setItem(`${PGS_KEY_PREFIX}${id}`, score);
+                const key = getScoreCacheKey(id, build, source)
+                const cached = await cacheStore.getItem(key)
+                const cacheState = getCacheState("scoringFiles", cached, cached?.cachedAt, { maxAge, forceRefresh, staleWhileRevalidate, config })
+                // console.log(`Cache lookup for ${key}:`, cacheState)
+                if (cacheState == "fresh" || cacheState == "stale") {
+                    score = cached
+                    cacheHits.push(key)
+                }
+                if (cacheState == "stale") {
+                    stale = true
+                    revalidateInBackground(key, () => downloadScore(id, downloadOptions))
+                }
+            }
+
+            if (score == null) {
+                // console.log(`Cache miss for ${id}. Fetching from network...`)
+                score = await downloadScore(id, { ...downloadOptions, signal, onProgress: onFileProgress(i) })
             }
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error
+            }
+            fileDone(i)
+            return { id, ok: false, error }
+        }
+        fileDone(i)
+        const result = columnar ? toColumnar(score) : fromColumnar(score)
+        result.ok = true
+        if (stale) {
+            result.stale = true
         }
-        return score
+        return result
     })
     )
     if (cache) {
-        await limitStorage(ids);
+        if (cacheHits.length) {
+            await recordCacheAccess(cacheHits)
+        }
+        await limitStorage(ids.map(id => getScoreCacheKey(id, build, source)), config);
     }
     return data
 }
 
 
-// evicts in this order:First: cached PGS_Catalog:id-* entries whose IDs are not in current ids.
-// Then (only if still over limit): entries whose IDs are in current ids.
-async function limitStorage(ids = []){
-    const entries = [];
-    let totalBytes = 0;
-    const requestedIds = new Set((ids || []).map(id => String(id)));
+// one scoring file from the network, stored in the cache (columnar, with cachedAt) when cache is set
+async function downloadScore(id, { build, source, stream = true, maxRows = MAX_ROWS, config = null, cache = true, signal = null, onProgress = null }) {
+    const fetchOptions = { maxRows, source, config, signal, onProgress }
+    const score = stream
+        ? await streamScore(id, build, fetchOptions)
+        : await parseScore(id, await fetchScore(id, build, fetchOptions))
+    score.source = source
+    score.build = source == "original" ? (score.header.genome_build ?? "NR") : `GRCh${build}`
+    if (cache) {
+        const key = getScoreCacheKey(id, build, source)
+        const stored = { ...toColumnar(score), cachedAt: Date.now() }
+        await cacheStore.setItem(key, stored);
+        await recordCacheWrite(key, stored)
+    }
+    return score
+}
+
+// keeps the scoring-file cache within cacheQuota.scoringFiles (see cacheManager.js), in cacheEviction order (default LRU):
+// first cached PGS_Catalog:id-* entries whose keys (id + build) are not in current keys,
+// then (only if still over the quota) entries whose keys are in current keys; pinned IDs are never evicted
+async function limitStorage(keys = [], config = null){
+    return enforceCacheQuota("scoringFiles", { keep: keys, config })
+}
+
+// non-2xx response -> HttpStatusError, or NotHarmonizedError when a harmonized file does not exist for that build
+function checkScoreResponse(response, { id, url, build, source }) {
+    if (response?.ok) {
+        return
+    }
+    if (response?.status == 404 && source == "harmonized") {
+        throw new NotHarmonizedError(`PGS file ${id} has no harmonized GRCh${build} scoring file (HTTP 404)`, { id, url, build: `GRCh${build}` })
+    }
+    throw new HttpStatusError(`Error loading PGS file ${id}. HTTP Response Code: ${response?.status}`, { id, url, status: response?.status ?? null })
+}
+
+// whole-file download (getTxts with stream: false), one request per file
+// onProgress({ bytes, totalBytes }) per chunk received; totalBytes is the Content-Length (null when not sent)
+async function fetchScore(id = 'PGS000050', build = 37, { maxRows = MAX_ROWS, source = "harmonized", config = null, signal = null, onProgress = null } = {}) {
+    const { response, url } = await httpFetchAny(getScoringFileUrls(id, build, source, config), { signal })
+    // console.log("loaded pgs score from url", url)
+
+    checkScoreResponse(response, { id, url, build, source })
 
-    await localforage.iterate((value, key) => {
-        if (!key.startsWith(PGS_KEY_PREFIX)) {
-            return;
+    const totalBytes = getContentLength(response)
+    let bytes = 0
+    const body = await readBody(response, {
+        signal,
+        onChunk: n => {
+            bytes += n
+            onProgress?.({ bytes, totalBytes })
         }
-        const entryBytes = getByteSize({ key, value });
-        const createdAt = Number(value?.cachedAt) || 0;
-        const id = key.slice(PGS_KEY_PREFIX.length);
+    })
+    let txt
+    try {
+        txt = pako.inflate(body, {
+            to: 'string'
+        })
+    } catch (error) {
+        throw new GzipCorruptError(`Error inflating PGS file ${id}: ${error?.message ?? error}`, { id, url, cause: error })
+    }
+    // pako.inflate returns undefined instead of throwing when the gzip stream ends early
+    if (typeof txt != 'string') {
+        throw new GzipCorruptError(`Error inflating PGS file ${id}: unexpected end of gzip stream`, { id, url })
+    }
 
-        entries.push({ key, id, entryBytes, createdAt });
-        totalBytes += entryBytes;
-        //console.log(`Cached pgs entries: ${key}, Size: ${(entryBytes / 1024 / 1024).toFixed(2)} MB`);
-    });
+    const rowCount = txt.split(/\r\n|\n|\r/g).filter(line => line && line[0] != '#').length - 1
+    if (rowCount > maxRows) {
+        throw new ScoreFileTooLargeError(`PGS file ${id} has ${rowCount} variants, more than the ${maxRows} rows limit`, { id, url, rows: rowCount, maxRows })
+    }
+    return txt
+}
+
+// streaming download: feeds the response body through pako.Inflate and parses rows as they arrive,
+// so a file over maxRows is rejected as soon as its header (variants_number) or row count says so
+// signal / onProgress: as in fetchScore()
+async function streamScore(id = 'PGS000050', build = 37, { maxRows = MAX_ROWS, source = "harmonized", config = null, signal = null, onProgress = null } = {}) {
+    const { response, url } = await httpFetchAny(getScoringFileUrls(id, build, source, config), { signal })
+    // console.log(`streaming ${source} pgs score from url`, url)
+
+    checkScoreResponse(response, { id, url, build, source })
 
-    if (totalBytes < MAX_PGS_CACHE_BYTES) {
-        // console.log(`Cache limit: ${(MAX_PGS_CACHE_BYTES / 1024 / 1024).toFixed(0)} MB. Current usage: ${(totalBytes / 1024 / 1024).toFixed(2)} MB. No eviction needed.`);
-        return;
+    const parser = createScoreParser(id, { maxRows, url })
+    const inflator = new pako.Inflate({ to: 'string' })
+    inflator.onData = chunk => parser.push(chunk)
+
+    const totalBytes = getContentLength(response)
+    let bytes = 0
+    const reader = response.body?.getReader ? response.body.getReader() : null
+    try {
+        if (reader) {
+            while (!inflator.ended) {
+                signal?.throwIfAborted()
+                const { done, value } = await reader.read()
+                if (done) break
+                bytes += value.length
+                onProgress?.({ bytes, totalBytes })
+                inflator.push(value, false)
+            }
+        } else {
+            const body = await response.arrayBuffer()
+            bytes = body.byteLength
+            onProgress?.({ bytes, totalBytes })
+            inflator.push(body, false)
+        }
+        if (!inflator.ended) {
+            inflator.push(new Uint8Array(0), true)
+        }
+    } catch (error) {
+        reader?.cancel().catch(() => { })
+        throw error
+    }
+    if (inflator.err) {
+        throw new GzipCorruptError(`Error inflating PGS file ${id}: ${inflator.msg || inflator.err}`, { id, url })
+    }
+    if (!inflator.ended) {
+        throw new GzipCorruptError(`Error inflating PGS file ${id}: unexpected end of gzip stream`, { id, url })
     }
+    reader?.cancel().catch(() => { })
+    return parser.end()
+}
 
-    const notRequestedEntries = entries
-        .filter(entry => !requestedIds.has(entry.id))
-        .sort((a, b) => a.createdAt - b.createdAt);
+// header + first rows of a scoring file without downloading it: the gzip stream is requested in byte ranges
+// (bytes=0-65535, then the next 64 KB if needed) and inflated as far as those bytes go
+// options: { build = 37, source = "harmonized", rows = 10, bytes = PREVIEW_BYTES, config, signal, onProgress }
+// onProgress: called per chunk with { phase: "preview", id, pages (Range requests), bytes, totalBytes (file size, from Content-Range) }
+// -> { id, source, build, url, header, cols, dt, bytesRead, complete }; complete = the whole file fit in the requested ranges
+async function previewScoreFile(id, options) {
+    const { rows = 10, bytes = PREVIEW_BYTES, config = null, signal = null, onProgress = null } = options ?? {}
+    const build = normalizeBuild(options?.build)
+    const source = normalizeSource(options?.source)
+    let url = null // first URL (primary or mirror) that answers; later ranges stay on it
 
-    const requestedEntries = entries
-        .filter(entry => requestedIds.has(entry.id))
-        .sort((a, b) => a.createdAt - b.createdAt);
+    const parser = createScoreParser(id, { maxRows: Infinity, url })
+    const inflator = new pako.Inflate({ to: 'string' })
+    inflator.onData = chunk => parser.push(chunk)
+    const enough = () => inflator.ended || (parser.hasColumns() && parser.rowCount() >= rows)
 
-    const evictionOrder = [...notRequestedEntries, ...requestedEntries];
+    let bytesRead = 0
+    let pages = 0
+    let totalBytes = null
+    while (!enough()) {
+        const init = { headers: { range: `bytes=${bytesRead}-${bytesRead + bytes - 1}` }, signal }
+        const fetched = url
+            ? { response: await httpFetch(url, init), url }
+            : await httpFetchAny(getScoringFileUrls(id, build, source, config), init)
+        const response = fetched.response
+        url = fetched.url
+        if (response?.status == 416) {
+            break // nothing left past bytesRead
+        }
+        checkScoreResponse(response, { id, url, build, source })
+        // a server that ignores Range answers 200 with the whole file: read only as much of it as needed
+        const ranged = response.status == 206
+        pages += 1
+        // "Content-Range: bytes 0-65535/1234567" -> file size; a 200 carries the whole file
+        const rangeTotal = parseInt(response.headers?.get?.('content-range')?.split('/')[1])
+        totalBytes = ranged ? (Number.isFinite(rangeTotal) ? rangeTotal : totalBytes) : getContentLength(response)
+        const reader = response.body?.getReader ? response.body.getReader() : null
+        const chunks = reader ? null : [new Uint8Array(await response.arrayBuffer())]
+        const rangeStart = bytesRead
+        while (!enough()) {
+            if (signal?.aborted) {
+                reader?.cancel().catch(() => { })
+                signal.throwIfAborted()
+            }
+            const { done, value } = reader ? await reader.read() : { done: !chunks.length, value: chunks.shift() }
+            if (done) break
+            bytesRead += value.length
+            reportProgress(onProgress, { phase: "preview", id, pages, bytes: bytesRead, totalBytes })
+            inflator.push(value, false)
+            if (inflator.err) {
+                reader?.cancel().catch(() => { })
+                throw new GzipCorruptError(`Error inflating PGS file ${id}: ${inflator.msg || inflator.err}`, { id, url })
+            }
+        }
+        reader?.cancel().catch(() => { })
+        if (!ranged || bytesRead == rangeStart) {
+            break
+        }
+    }
+
+    const score = parser.end(inflator.ended)
+    return {
+        id,
+        source,
+        build: source == "original" ? (score.header.genome_build ?? "NR") : `GRCh${build}`,
+        url,
+        header: score.header,
+        cols: score.cols,
+        dt: score.dt.slice(0, rows),
+        bytesRead,
+        complete: inflator.ended,
+    }
+}
 
-    for (const entry of evictionOrder) {
-        if (totalBytes < MAX_PGS_CACHE_BYTES) {
-            break;
+// line-by-line parser: push() inflated text chunks, end() returns the same {id, meta, cols, dt} obj as parseScore()
+// (without the raw txt, which is what keeps large files out of memory)
+function createScoreParser(id, { maxRows = MAX_ROWS, url = null } = {}) {
+    const obj = {
+        id: id,
+        meta: {
+            txt: []
+        },
+        cols: null,
+        dt: []
+    }
+    let types = null
+    let tail = ""
+
+    const parseLine = (line) => {
+        if (line[0] == '#') {
+            obj.meta.txt.push(line)
+            if (line[1] != '#') {
+                parseMetaLine(obj.meta, line)
+                if (line.startsWith('#variants_number=') && parseInt(obj.meta.variants_number) > maxRows) {
+                    const rows = parseInt(obj.meta.variants_number)
+                    throw new ScoreFileTooLargeError(`PGS file ${id} has ${rows} variants, more than the ${maxRows} rows limit`, { id, url, rows, maxRows })
+                }
+            }
+            return
+        }
+        if (!line) {
+            return
+        }
+        if (obj.cols == null) {
+            obj.cols = normalizeColumns(line.split(/\t/g))
+            types = getColumnTypes(obj.cols)
+            return
+        }
+        if (obj.dt.length >= maxRows) {
+            throw new ScoreFileTooLargeError(`PGS file ${id} has more than the ${maxRows} rows limit`, { id, url, maxRows })
         }
-        await localforage.removeItem(entry.key);
-        totalBytes -= entry.entryBytes;
+        obj.dt.push(typeScoreRow(line.split(/\t/g), types))
     }
-    // console.log(`Cache after eviction: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
 
+    return {
+        push(chunk) {
+            const lines = (tail + chunk).split(/\r\n|\n|\r/g)
+            tail = lines.pop()
+            lines.forEach(parseLine)
+        },
+        // complete = false: the text stopped mid-file (previewScoreFile), so the unterminated last line is dropped
+        end(complete = true) {
+            if (tail && complete) {
+                parseLine(tail)
+            }
+            tail = ""
+            obj.header = parseHeader(obj.meta.txt)
+            return obj
+        },
+        hasColumns() {
+            return obj.cols != null
+        },
+        rowCount() {
+            return obj.dt.length
+        }
+    }
 }
 
-async function fetchScore(id = 'PGS000050', build = 37, range) {
-    // console.log("loadScore")
-    let txt = ""
-    const MAX_ROWS = 1000000
+// rename legacy column names so original and harmonized files share the same cols
+function normalizeColumns(cols) {
+    return cols.map(col => COLUMN_ALIASES[col] ?? col)
+}
+
+// column indices of the numerical/boolean fields of a scoring file
+function getColumnTypes(cols) {
+    const indexOf = names => names.map(name => cols.indexOf(name)).filter(ind => ind >= 0)
+    return {
+        indInt: indexOf(['chr_position', 'hm_pos']),
+        indFloat: indexOf(['effect_weight', 'allelefrequency_effect']),
+        indBol: indexOf(['hm_match_chr', 'hm_match_pos'])
+    }
+}
 
-    const url = getScoreUrl(id, build);
-    // console.log("loading harmonized pgs score from url", url)
+function typeScoreRow(r, { indInt, indFloat, indBol }) {
+    indFloat.forEach(ind => {
+        r[ind] = parseFloat(r[ind])
+    })
+    indInt.forEach(ind => {
+        r[ind] = parseInt(r[ind])
+    })
+    indBol.forEach(ind => {
+        r[ind] = (r[ind] == 'True') ? true : false
+    })
+    return r
+}
 
-    if (range) {
-        if (typeof (range) == 'number') {
-            range = [0, range]
+// "#key=value" header line -> meta[key] = value
+function parseMetaLine(meta, line) {
+    const eq = line.indexOf('=')
+    if (eq < 0) {
+        return
+    }
+    meta[line.slice(1, eq)] = line.slice(eq + 1)
+}
+
+// typed header model --------------------------
+// header lines -> {
+//   format_version: "2.0" | "1.0" | null,
+//   pgs_id, pgs_name, trait_reported, trait_mapped: [], trait_efo: [], weight_type, genome_build,
+//   variants_number: number, HmPOS_build, HmPOS_date ("YYYY-MM-DD"), HmPOS_match_chr: {}, HmPOS_match_pos: {},
+//   sections: { "POLYGENIC SCORE (PGS) INFORMATION": {...}, "SOURCE INFORMATION": {...}, "HARMONIZATION DETAILS": {...} }
+// }
+// "NR" and empty values become null
+function parseHeader(lines = []) {
+    const header = {
+        format_version: null,
+        sections: {}
+    }
+    let section = null
+    let v1 = false
+
+    lines.forEach(line => {
+        if (line.startsWith('###')) {
+            return
+        }
+        if (line.startsWith('##')) {
+            section = line.slice(2).trim()
+            header.sections[section] = header.sections[section] ?? {}
+            return
         }
-        txt = pako.inflate(await (await fetch(url, {
-            headers: {
-                'content-type': 'multipart/byteranges',
-                'range': `bytes=${range.join('-')}`,
+        let key, value
+        const v1Match = line.match(/^#\s+(.+?)\s*=\s*(.*)$/)
+        if (v1Match && HEADER_V1_KEYS[v1Match[1]]) {
+            v1 = true
+            key = HEADER_V1_KEYS[v1Match[1]]
+            value = v1Match[2]
+        } else {
+            const eq = line.indexOf('=')
+            if (eq < 0) {
+                return
             }
-        })).arrayBuffer(), {
-            to: 'string'
-        })
-    } else {
-        txt = pako.inflate(await (await fetch(url)).arrayBuffer(), {
-            to: 'string'
-        })
+            key = line.slice(1, eq).trim()
+            value = line.slice(eq + 1).trim()
+        }
+        value = parseHeaderValue(key, value)
+        if (key == 'format_version') {
+            header.format_version = value
+            return
+        }
+        header[key] = value
+        if (section != null) {
+            header.sections[section][key] = value
+        }
+    })
+    if (header.format_version == null && v1) {
+        header.format_version = "1.0"
     }
+    return header
+}
 
-    const rowCount = txt.split(/\r\n|\n|\r/g).length
-    if (rowCount > MAX_ROWS) {
-        return "failed to fetch. File freater than 1M rows!"
+function parseHeaderValue(key, value) {
+    if (value === "" || value === "NR") {
+        return null
     }
-
-    // Check if PGS catalog FTP site is down-----------------------
-    let response
-    response = await fetch(url) // testing url 'https://httpbin.org/status/429'
-    if (response?.ok) {
-        ////console.log('Use the response here!');
-    } else {
-        txt = `:( Error loading PGS file. HTTP Response Code: ${response?.status}`
-        document.getElementById('pgsTextArea').value = txt
+    switch (HEADER_TYPES[key]) {
+        case "int": {
+            const num = parseInt(value)
+            return Number.isNaN(num) ? null : num
+        }
+        case "list":
+            return value.split(/\s*\|\s*/g).filter(Boolean)
+        case "json":
+            try {
+                return JSON.parse(value)
+            } catch (error) {
+                return value
+            }
+        default:
+            return value
     }
-    return txt
 }
 
 // create PGS obj and data --------------------------
@@ -145,39 +559,24 @@ async function parseScore(id, txt) {
     obj.meta = {
         txt: rows.slice(0, metaL)
     }
-    obj.cols = rows[metaL].split(/\t/g)
+    obj.cols = normalizeColumns(rows[metaL].split(/\t/g))
     obj.dt = rows.slice(metaL + 1).map(r => r.split(/\t/g))
     if (obj.dt.slice(-1).length == 1) {
         obj.dt.pop(-1)
     }
     // parse numerical types
-    const indInt = [obj.cols.indexOf('chr_position'), obj.cols.indexOf('hm_pos')]
-    const indFloat = [obj.cols.indexOf('effect_weight'), obj.cols.indexOf('allelefrequency_effect')]
-    const indBol = [obj.cols.indexOf('hm_match_chr'), obj.cols.indexOf('hm_match_pos')]
+    const types = getColumnTypes(obj.cols)
 
     // /* this is the efficient way to do it, but for large files it has memory issues
-    obj.dt = obj.dt.map(r => {
-        // for each data row
-        indFloat.forEach(ind => {
-            r[ind] = parseFloat(r[ind])
-        })
-        indInt.forEach(ind => {
-            r[ind] = parseInt(r[ind])
-        })
-        indBol.forEach(ind => {
-            r[ind] = (r[11] == 'True') ? true : false
-        })
-        return r
-    })
+    obj.dt = obj.dt.map(r => typeScoreRow(r, types))
     // parse metadata
-    obj.meta.txt.filter(r => (r[1] != '#')).forEach(aa => {
-        aa = aa.slice(1).split('=')
-        obj.meta[aa[0]] = aa[1]
-    })
+    obj.meta.txt.filter(r => (r[1] != '#')).forEach(aa => parseMetaLine(obj.meta, aa))
+    obj.header = parseHeader(obj.meta.txt)
     return obj
 }
 
 
 export {
     getTxts,
+    previewScoreFile,
 }
\ No newline at end of file
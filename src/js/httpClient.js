@@ -0,0 +1,369 @@
+import { HttpStatusError, RequestTimeoutError } from "./errors.js";
+
+// ---- shared HTTP layer for the REST API and scoring-file loaders ----
+// Every request goes through httpFetch(): at most `concurrency` requests in flight (a 2xx response counts until its
+// body is read or cancelled), a timeout per attempt, and retries with exponential backoff on network errors,
+// timeouts and retryStatuses (Retry-After is honored).
+export const DEFAULT_HTTP_OPTIONS = {
+	fetch: null, // fetch implementation; null = globalThis.fetch at call time
+	retries: 3, // retries after the first attempt
+	backoffMs: 500, // first retry delay, doubled per attempt (with jitter)
+	maxBackoffMs: 30000,
+	timeoutMs: 30000, // until the response headers arrive
+	bodyTimeoutMs: 60000, // longest pause in a 2xx response body (no data, or nobody reading it); 0 = none
+	concurrency: 4,
+	retryStatuses: [408, 429, 500, 502, 503, 504],
+};
+
+let httpOptions = { ...DEFAULT_HTTP_OPTIONS };
+
+export function configureHttp(options = {}) {
+	/**
+	 * Change the HTTP client defaults for every loader (getTxts, fetchAllScores, fetchTraits, ...).
+	 * @param {{
+	 *   fetch?: Function|null, retries?: number, backoffMs?: number, maxBackoffMs?: number,
+	 *   timeoutMs?: number, bodyTimeoutMs?: number, concurrency?: number, retryStatuses?: number[]
+	 * }} options
+	 * @returns {object} the options now in effect
+	 */
+	httpOptions = { ...httpOptions, ...options };
+	if (!(httpOptions.concurrency >= 1)) {
+		throw new Error(`HTTP concurrency must be at least 1, got ${httpOptions.concurrency}`);
+	}
+	// a raised cap lets queued requests start right away
+	while (waiting.length && active < httpOptions.concurrency) {
+		active += 1;
+		waiting.shift()();
+	}
+	return { ...httpOptions };
+}
+
+// concurrency cap: a slot is held from the request until its response headers (or error),
+// and for a 2xx response with a streamed body until that body is read, cancelled or fails
+let active = 0;
+const waiting = [];
+
+// queued requests per caller signal, so a signal shared by many requests gets one abort listener
+const queuedBySignal = new Map();
+
+function dequeue(signal, entry) {
+	const position = waiting.indexOf(entry.grant);
+	if (position >= 0) waiting.splice(position, 1); // already shifted off when the slot was handed over
+	const queued = queuedBySignal.get(signal);
+	queued.entries.delete(entry);
+	if (!queued.entries.size) {
+		signal.removeEventListener("abort", queued.onAbort);
+		queuedBySignal.delete(signal);
+	}
+}
+
+// an aborted signal takes the request out of the queue and rejects with its reason
+function acquireSlot(signal = null) {
+	if (signal?.aborted) {
+		return Promise.reject(signal.reason);
+	}
+	if (active < httpOptions.concurrency) {
+		active += 1;
+		return Promise.resolve();
+	}
+	return new Promise((resolve, reject) => {
+		if (!signal) {
+			waiting.push(resolve);
+			return;
+		}
+		const entry = { reject };
+		entry.grant = () => {
+			dequeue(signal, entry);
+			resolve();
+		};
+		waiting.push(entry.grant);
+		if (!queuedBySignal.has(signal)) {
+			const queued = { entries: new Set() };
+			queued.onAbort = () => {
+				for (const queuedEntry of [...queued.entries]) {
+					dequeue(signal, queuedEntry);
+					queuedEntry.reject(signal.reason);
+				}
+			};
+			queuedBySignal.set(signal, queued);
+			signal.addEventListener("abort", queued.onAbort, { once: true });
+		}
+		queuedBySignal.get(signal).entries.add(entry);
+	});
+}
+
+function releaseSlot() {
+	if (waiting.length && active <= httpOptions.concurrency) {
+		waiting.shift()(); // hand the slot over
+		return;
+	}
+	active -= 1;
+}
+
+// setTimeout as a promise; an aborted signal ends the wait early and rejects with its reason
+function sleep(ms, signal = null) {
+	if (signal?.aborted) {
+		return Promise.reject(signal.reason);
+	}
+	return new Promise((resolve, reject) => {
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal.reason);
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener("abort", onAbort);
+			resolve();
+		}, ms);
+		signal?.addEventListener("abort", onAbort, { once: true });
+	});
+}
+
+// Retry-After: "120" (seconds) or an HTTP date -> ms, 0 when absent
+function getRetryAfterMs(response) {
+	const value = response?.headers?.get?.("retry-after");
+	if (!value) return 0;
+	const seconds = Number(value);
+	if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+	const date = Date.parse(value);
+	return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+function getBackoffMs(attempt, { backoffMs, maxBackoffMs }) {
+	const delay = Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+	return delay / 2 + Math.random() * (delay / 2);
+}
+
+// the same response with its body tied to the request's controller: aborting it (caller signal, body timeout)
+// errors the body at once, even when the underlying stream stalls; release() runs once the body is done,
+// cancelled or failed, and frees the concurrency slot and the caller's abort listener.
+// bodyTimeoutMs counts while waiting for data and while nobody reads, so an abandoned body frees its slot too
+function holdUntilBodyDone(response, { controller, release, url, bodyTimeoutMs }) {
+	const { signal } = controller;
+	const source = response.body.getReader();
+	let stream = null;
+	let timer = null;
+	let finished = false;
+	const finish = () => {
+		if (finished) return;
+		finished = true;
+		clearTimeout(timer);
+		signal.removeEventListener("abort", onAbort);
+		release();
+	};
+	const restartTimer = () => {
+		clearTimeout(timer);
+		timer = bodyTimeoutMs ? setTimeout(() => controller.abort(
+			new RequestTimeoutError(`No data from ${url} for ${bodyTimeoutMs} ms`, { url, timeoutMs: bodyTimeoutMs }),
+		), bodyTimeoutMs) : null;
+	};
+	const onAbort = () => {
+		finish();
+		source.cancel(signal.reason).catch(() => { });
+		stream.error(signal.reason);
+	};
+
+	const body = new ReadableStream({
+		start(streamController) {
+			stream = streamController;
+		},
+		async pull(streamController) {
+			restartTimer();
+			let chunk;
+			try {
+				chunk = await source.read();
+			} catch (error) {
+				if (finished) return;
+				finish();
+				throw error;
+			}
+			if (finished) return; // aborted while waiting, the body already carries the reason
+			if (chunk.done) {
+				finish();
+				streamController.close();
+				return;
+			}
+			streamController.enqueue(chunk.value);
+			restartTimer();
+		},
+		cancel(reason) {
+			finish();
+			return source.cancel(reason);
+		},
+	}, { highWaterMark: 0 });
+	signal.addEventListener("abort", onAbort, { once: true });
+	restartTimer();
+	return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+// ---- core: fetch with retry, backoff, timeout and the concurrency cap ----
+export async function httpFetch(url, init = {}, options = {}) {
+	/**
+	 * fetch() through the shared client. Resolves with the last Response (ok or not, callers check status);
+	 * rejects with the network error or a RequestTimeoutError once the retries are used up.
+	 * A 2xx body keeps its concurrency slot and stays cancellable by init.signal until it is read to the end
+	 * or cancelled, so callers must consume or cancel() it.
+	 * @param {string} url
+	 * @param {RequestInit} [init] - passed to fetch; init.signal cancels the request (and its body) without retries
+	 * @param {object} [options] - per-call overrides of configureHttp() options
+	 * @returns {Promise<Response>}
+	 */
+	const { fetch: fetchImpl, retries, timeoutMs, bodyTimeoutMs, retryStatuses, ...backoff } = { ...httpOptions, ...options };
+	const doFetch = fetchImpl ?? globalThis.fetch;
+	const callerSignal = init.signal ?? null;
+
+	for (let attempt = 0; ; attempt += 1) {
+		await acquireSlot(callerSignal);
+		const controller = new AbortController();
+		const abort = () => controller.abort(callerSignal.reason);
+		callerSignal?.addEventListener("abort", abort, { once: true });
+		if (callerSignal?.aborted) abort();
+		let timedOut = false;
+		const timer = timeoutMs ? setTimeout(() => {
+			timedOut = true;
+			controller.abort();
+		}, timeoutMs) : null;
+
+		let response = null;
+		let error = null;
+		try {
+			response = await doFetch(url, { ...init, signal: controller.signal });
+		} catch (fetchError) {
+			error = timedOut
+				? new RequestTimeoutError(`No response from ${url} within ${timeoutMs} ms`, { url, timeoutMs, cause: fetchError })
+				: fetchError;
+		} finally {
+			clearTimeout(timer);
+		}
+
+		const release = () => {
+			callerSignal?.removeEventListener("abort", abort);
+			releaseSlot();
+		};
+		if (response?.ok && typeof response.body?.getReader === "function" && !callerSignal?.aborted) {
+			response = holdUntilBodyDone(response, { controller, release, url, bodyTimeoutMs });
+		} else {
+			release();
+		}
+
+		if (callerSignal?.aborted) {
+			throw error ?? callerSignal.reason;
+		}
+		const retryable = error ? true : retryStatuses.includes(response.status);
+		if (!retryable || attempt >= retries) {
+			if (error) throw error;
+			return response;
+		}
+		const wait = Math.max(getBackoffMs(attempt, backoff), getRetryAfterMs(response));
+		response?.body?.cancel?.().catch(() => { });
+		await sleep(wait, callerSignal);
+	}
+}
+
+// ---- core: primary URL, then mirrors ----
+export async function httpFetchAny(urls, init = {}, options = {}) {
+	/**
+	 * Try each URL in order (each with httpFetch() retries) until one answers 2xx.
+	 * When all fail, the primary (first) URL's response is returned or its error thrown.
+	 * @param {string|string[]} urls - primary URL first, then mirrors
+	 * @param {RequestInit} [init]
+	 * @param {object} [options] - per-call overrides of configureHttp() options
+	 * @returns {Promise<{response: Response, url: string}>}
+	 */
+	let primary = null;
+	for (const url of [urls].flat()) {
+		try {
+			const response = await httpFetch(url, init, options);
+			if (response.ok) {
+				return { response, url };
+			}
+			if (primary) {
+				response.body?.cancel?.().catch(() => { });
+			}
+			primary ??= { response, url };
+		} catch (error) {
+			if (init.signal?.aborted) throw error;
+			primary ??= { error, url };
+		}
+	}
+	if (primary.error) throw primary.error;
+	return primary;
+}
+
+export async function httpJson(urls, { signal = null, onChunk = null, ...options } = {}) {
+	/**
+	 * GET a JSON document through httpFetchAny(); non-2xx responses throw HttpStatusError.
+	 * @param {string|string[]} urls - primary URL first, then mirrors
+	 * @param {{ signal?: AbortSignal, onChunk?: Function }} [options] - signal and onChunk as in readBody();
+	 *   everything else overrides configureHttp() options for this call
+	 * @returns {Promise<any>}
+	 */
+	const { response, url } = await httpFetchAny(urls, { signal }, options);
+	if (!response.ok) {
+		throw new HttpStatusError(`HTTP ${response.status} on ${url}`, { url, status: response.status });
+	}
+	return readJson(response, { signal, onChunk });
+}
+
+// ---- response bodies: byte counts and cancellation ----
+
+// Content-Length header as a number, null when the server did not send one
+export function getContentLength(response) {
+	const length = parseInt(response?.headers?.get?.("content-length"));
+	return Number.isFinite(length) ? length : null;
+}
+
+export async function readBody(response, { signal = null, onChunk = null } = {}) {
+	/**
+	 * Read a whole response body, chunk by chunk where the body is a stream.
+	 * @param {Response} response
+	 * @param {{ signal?: AbortSignal, onChunk?: (byteLength: number) => void }} [options] - an aborted signal
+	 *   cancels the read and rejects with its reason; onChunk is called with the size of every chunk received
+	 * @returns {Promise<Uint8Array>}
+	 */
+	const reader = response.body?.getReader ? response.body.getReader() : null;
+	if (!reader) {
+		signal?.throwIfAborted();
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		onChunk?.(bytes.length);
+		return bytes;
+	}
+	const chunks = [];
+	let length = 0;
+	try {
+		while (true) {
+			signal?.throwIfAborted();
+			const { done, value } = await reader.read();
+			if (done) break;
+			chunks.push(value);
+			length += value.length;
+			onChunk?.(value.length);
+		}
+	} catch (error) {
+		reader.cancel().catch(() => { });
+		throw error;
+	}
+	const bytes = new Uint8Array(length);
+	let offset = 0;
+	for (const chunk of chunks) {
+		bytes.set(chunk, offset);
+		offset += chunk.length;
+	}
+	return bytes;
+}
+
+export async function readJson(response, options = {}) {
+	return JSON.parse(new TextDecoder().decode(await readBody(response, options)));
+}
+
+// ---- progress events ----
+// Loaders that take an onProgress callback call it with one event shape (null where a field does not apply):
+//   phase       "scores" | "traits" | "scoring-files" | "preview"
+//   id          scoring-files / preview: the PGS ID the event is about
+//   pages       REST pages (or preview Range requests) fetched so far, totalPages: expected pages
+//   loaded      items done so far (scores, traits, files), total: items expected
+//   bytes       bytes downloaded so far, totalBytes: bytes expected (null until known)
+const PROGRESS_FIELDS = { phase: null, id: null, pages: null, totalPages: null, loaded: null, total: null, bytes: 0, totalBytes: null };
+
+export function reportProgress(onProgress, event) {
+	onProgress?.({ ...PROGRESS_FIELDS, ...event });
+}
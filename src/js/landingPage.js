@@ -15,6 +15,24 @@ export function formatNumber(value, decimals = 0) {
 	});
 }
 
+// loader onProgress event (see httpClient.js) -> "page 3 of 27, 600 of 5,296 scores, 1.2 MB"
+function formatLoadProgress({ pages, totalPages, loaded, total, bytes } = {}, noun = "items") {
+	const parts = [];
+	if (pages != null) {
+		parts.push(totalPages != null ? `page ${formatNumber(pages)} of ${formatNumber(totalPages)}` : `page ${formatNumber(pages)}`);
+	}
+	if (loaded != null) {
+		parts.push(total != null ? `${formatNumber(loaded)} of ${formatNumber(total)} ${noun}` : `${formatNumber(loaded)} ${noun}`);
+	}
+	if (bytes) {
+		parts.push(`${formatNumber(bytes / 1024 / 1024, 1)} MB`);
+	}
+	return parts.join(", ");
+}
+
+// cache status of a fetchAllScores() / fetchTraits() result for the source lines
+const getCacheFreshness = (results) => (results?.stale ? "stale, refreshing in background" : "within cache TTL");
+
 function setTextContent(id, text) {
 	const element = document.getElementById(id);
 	if (!element) return;
@@ -264,11 +282,17 @@ export function renderScorePerCategoryPlot(topCategories) {
 	Plotly.newPlot(chartDiv, data, layout, { responsive: true });
 }
 
-export async function fetchDataAndRenderPlots() {
+// signal: AbortSignal that cancels the trait download
+export async function fetchDataAndRenderPlots({ signal = null } = {}) {
 	try {
 		renderTraitStatus({ sourceStatus: "Source: loading PGS trait metadata..." });
 
-		const results = await fetchTraits();
+		const results = await fetchTraits({
+			signal,
+			onProgress: (event) => renderTraitStatus({
+				output: `Loading traits from PGS Catalog: ${formatLoadProgress(event, "traits")}...`,
+			}),
+		});
 		const summary = results?.summary ?? null;
 		if (!summary) {
 			renderTraitStatus({
@@ -283,7 +307,7 @@ export async function fetchDataAndRenderPlots() {
 
 		if (results.source === "cache") {
 			renderTraitStatus({
-				sourceStatus: "Source: local cache (LocalForage, < 3 months)",
+				sourceStatus: `Source: local cache (${getCacheFreshness(results)})`,
 				output: `Loaded ${formatNumber(summary.traits.length)} cached traits summary (${results.savedAt}).`,
 			});
 		} else if (results.source === "cache-fallback") {
@@ -312,7 +336,18 @@ export async function fetchDataAndRenderPlots() {
 	}
 }
 
-export async function loadScoreStats({ includeAllScoreStats = false, includeTraitStats = false, includeCategoryStats = false } = {}) {
+// signal: AbortSignal that cancels the trait and score downloads
+export async function loadScoreStats({ includeAllScoreStats = false, includeTraitStats = false, includeCategoryStats = false, signal = null } = {}) {
+	// live download progress on the status lines of the requested stats
+	const renderLoadProgress = (noun) => (event) => {
+		const output = `Loading ${noun} from PGS Catalog: ${formatLoadProgress(event, noun)}...`;
+		if (includeAllScoreStats || includeTraitStats) {
+			renderScoreTraitStatus({ output });
+		}
+		if (includeCategoryStats) {
+			renderScoreCategoryStatus({ output });
+		}
+	};
 	let plotTopTraits = null;
 	let scoresPerCategoryPayload = null;
 	let plotTopCategories = null;
@@ -333,10 +368,10 @@ export async function loadScoreStats({ includeAllScoreStats = false, includeTrai
 		});
 
 		if (includeTraitStats || includeCategoryStats) {
-			await fetchTraits();
+			await fetchTraits({ signal, onProgress: renderLoadProgress("traits") });
 		}
 		if (includeAllScoreStats || includeTraitStats || includeCategoryStats) {
-			results = await fetchAllScores();
+			results = await fetchAllScores({ signal, onProgress: renderLoadProgress("scores") });
 		}
 
 		const summary = results.summary;
@@ -346,17 +381,19 @@ export async function loadScoreStats({ includeAllScoreStats = false, includeTrai
 
 		if (includeTraitStats) {
 			try {
-				const scoresPerTrait = await getScoresPerTrait();
+				const scoresPerTrait = await getScoresPerTrait({ signal, onProgress: renderLoadProgress("scores") });
 				plotTopTraits = buildTopTraitsFromScoresPerTrait(scoresPerTrait, 10);
 			} catch (error) {
+				if (signal?.aborted) throw error;
 				console.warn("loadScoreStats(): unable to build topTraits from getScoresPerTrait", error);
 			}
 		}
 		if (includeCategoryStats) {
 			try {
-				scoresPerCategoryPayload = await getScoresPerCategory();
+				scoresPerCategoryPayload = await getScoresPerCategory({ signal, onProgress: renderLoadProgress("scores") });
 				plotTopCategories = buildTopCategoriesFromScoresPerCategory(scoresPerCategoryPayload);
 			} catch (error) {
+				if (signal?.aborted) throw error;
 				console.warn("loadScoreStats(): unable to build categories from getScoresPerCategory", error);
 			}
 		}
@@ -384,8 +421,8 @@ export async function loadScoreStats({ includeAllScoreStats = false, includeTrai
 			renderScorePlot(summaryForPlot);
 			renderScoreTraitStatus({
 				sourceStatus: includeTraitStats
-					? "Source: local cache (all-score-summary + scores-per-trait-summary, < 3 months)"
-					: "Source: local cache (all-score-summary, < 3 months)",
+					? `Source: local cache (all-score-summary + scores-per-trait-summary, ${getCacheFreshness(results)})`
+					: `Source: local cache (all-score-summary, ${getCacheFreshness(results)})`,
 				output: includeTraitStats
 					? `Loaded ${formatNumber(summary.totalScores)} cached scores summary + trait-linked score cache (${scoreSavedAt}).`
 					: `Loaded ${formatNumber(summary.totalScores)} cached scores summary (${scoreSavedAt}).`,
@@ -439,7 +476,7 @@ export async function loadScoreStats({ includeAllScoreStats = false, includeTrai
 			const categorySavedAt = scoresPerCategoryPayload?.savedAt;
 			renderScoreCategoryStatus({
 				sourceStatus: categorySavedAt
-					? "Source: local cache (scores-per-category-summary, < 3 months)"
+					? "Source: local cache (scores-per-category-summary, within cache TTL)"
 					: "Source: category-linked score cache",
 				output: `Loaded ${formatNumber(plotTopCategories.length)} category-linked scoring summaries.`,
 			});
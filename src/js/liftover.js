@@ -0,0 +1,225 @@
+import pako from "pako";
+import { complementAllele } from "./alleleMatching.js";
+import { normalizeChromosome } from "./genotypes.js";
+import { fromColumnar, toColumnar } from "./scoreColumns.js";
+
+// ---- liftover of chr_name / chr_position with a local UCSC chain file ----
+// Chain format (https://genome.ucsc.edu/goldenPath/help/chain.html), 0-based half-open coordinates:
+//   chain score tName tSize tStrand tStart tEnd qName qSize qStrand qStart qEnd id
+//   size dt dq     <- ungapped block, then the gaps to the next block
+//   size           <- last block
+// t = source build, q = target build. Blocks on a "-" query strand count from the end of the query chromosome.
+
+function decodeChainInput(input) {
+	if (typeof input === "string") return input;
+	const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+	if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+		return pako.inflate(bytes, { to: "string" });
+	}
+	return new TextDecoder().decode(bytes);
+}
+
+// "38", 38, "GRCh38", "hg38" -> "GRCh38"
+function normalizeBuildLabel(build) {
+	const label = String(build ?? "").trim();
+	if (/^hg19$/i.test(label)) return "GRCh37";
+	if (/^hg38$/i.test(label)) return "GRCh38";
+	const num = label.replace(/^GRCh/i, "");
+	return /^\d+$/.test(num) ? `GRCh${num}` : label;
+}
+
+// ---- core: parse a UCSC .chain / .chain.gz ----
+export function parseChain(input) {
+	/**
+	 * Parse a UCSC chain file into a per-chromosome block index.
+	 * @param {string|ArrayBuffer|Uint8Array} input - chain text, or .chain / .chain.gz bytes
+	 * @returns {{
+	 *   chains: Array<{score: number, qName: string, qSize: number, qStrand: "+"|"-"}>,
+	 *   index: Map<string, {tStart: Int32Array, tEnd: Int32Array, qStart: Int32Array, chain: Int32Array, maxEnd: Int32Array}>
+	 * }} index is keyed by normalized source chromosome, blocks sorted by tStart
+	 */
+	const lines = decodeChainInput(input).split(/\r\n|\n|\r/g);
+	const chains = [];
+	const blocks = new Map(); // chr -> [[tStart, tEnd, qStart, chain], ...]
+	let current = null;
+
+	for (const line of lines) {
+		if (!line || line[0] === "#") continue;
+		const fields = line.trim().split(/\s+/g);
+		if (fields[0] === "chain") {
+			if (fields.length < 12) {
+				throw new Error(`Invalid chain header line: "${line}"`);
+			}
+			const [, score, tName, , , tStart, , qName, qSize, qStrand, qStart] = fields;
+			chains.push({ score: parseFloat(score), qName: normalizeChromosome(qName), qSize: parseInt(qSize), qStrand });
+			const chr = normalizeChromosome(tName);
+			if (!blocks.has(chr)) blocks.set(chr, []);
+			current = { list: blocks.get(chr), chain: chains.length - 1, t: parseInt(tStart), q: parseInt(qStart) };
+			continue;
+		}
+		if (!current) {
+			throw new Error("Invalid chain file: alignment data found before a chain header line.");
+		}
+		const [size, dt = 0, dq = 0] = fields.map((value) => parseInt(value));
+		current.list.push([current.t, current.t + size, current.q, current.chain]);
+		current.t += size + dt;
+		current.q += size + dq;
+		if (fields.length === 1) current = null;
+	}
+
+	const index = new Map();
+	for (const [chr, list] of blocks) {
+		list.sort((a, b) => a[0] - b[0]);
+		const entry = {
+			tStart: Int32Array.from(list, (block) => block[0]),
+			tEnd: Int32Array.from(list, (block) => block[1]),
+			qStart: Int32Array.from(list, (block) => block[2]),
+			chain: Int32Array.from(list, (block) => block[3]),
+			maxEnd: new Int32Array(list.length), // running max of tEnd, bounds the backward scan for overlapping chains
+		};
+		list.forEach((block, i) => {
+			entry.maxEnd[i] = Math.max(block[1], i ? entry.maxEnd[i - 1] : 0);
+		});
+		index.set(chr, entry);
+	}
+	return { chains, index };
+}
+
+export function liftoverPosition(chain, chr, pos) {
+	/**
+	 * Map one 1-based position to the target build. Where chains overlap, the highest-scoring chain wins.
+	 * @param {{chains: Array, index: Map}} chain - parseChain() output
+	 * @param {string} chr
+	 * @param {number} pos - 1-based
+	 * @returns {{chr: string, pos: number, strand: "+"|"-"}|null} null when the position is not in any block
+	 */
+	const entry = chain.index.get(normalizeChromosome(chr));
+	if (!entry || !Number.isFinite(pos)) return null;
+	const pos0 = pos - 1;
+
+	// last block starting at or before pos0
+	let lo = 0;
+	let hi = entry.tStart.length;
+	while (lo < hi) {
+		const mid = (lo + hi) >> 1;
+		if (entry.tStart[mid] <= pos0) lo = mid + 1;
+		else hi = mid;
+	}
+	let best = -1;
+	for (let i = lo - 1; i >= 0 && entry.maxEnd[i] > pos0; i--) {
+		if (pos0 < entry.tEnd[i] && (best < 0 || chain.chains[entry.chain[i]].score > chain.chains[entry.chain[best]].score)) {
+			best = i;
+		}
+	}
+	if (best < 0) return null;
+
+	const { qName, qSize, qStrand } = chain.chains[entry.chain[best]];
+	const q0 = entry.qStart[best] + (pos0 - entry.tStart[best]);
+	return {
+		chr: qName,
+		pos: (qStrand === "-" ? qSize - 1 - q0 : q0) + 1,
+		strand: qStrand === "-" ? "-" : "+",
+	};
+}
+
+// minus-strand alleles read backwards: "AC" -> "GT"; "/" separated lists (hm_inferOtherAllele) one by one
+const reverseComplement = (allele) => String(allele).split("/")
+	.map((one) => complementAllele(one).split("").reverse().join(""))
+	.join("/");
+
+// bases a variant covers on the source build: its allele length when every allele has the same length
+// (SNVs, MNPs), null for indels or a lone multi-base allele, whose span depends on the reference sequence
+function getAlleleSpan(r, alleleColumns) {
+	const lengths = alleleColumns
+		.flatMap((i) => (r[i] ? String(r[i]).split("/") : []))
+		.map((allele) => allele.length);
+	if (!lengths.length) return 1;
+	if (lengths.some((length) => length !== lengths[0])) return null;
+	if (lengths[0] > 1 && lengths.length < 2) return null;
+	return lengths[0];
+}
+
+// ---- core: remap a parsed score's chr_name / chr_position ----
+export function liftoverScore(score, chain, { to, flipAlleles = true } = {}) {
+	/**
+	 * Lift the author-submitted coordinates of a parsed score (e.g. getTxts(ids, { source: "original" }))
+	 * to another build. Unmapped variants are dropped from the returned score and reported.
+	 * On minus-strand blocks multi-base alleles are reverse-complemented and the position moves to the variant's
+	 * new left end; indels there are reported as unmapped, since their position depends on the reference sequence.
+	 * @param {object} score - parsed score (row or columnar form) with chr_name / chr_position columns
+	 * @param {{chains: Array, index: Map}|string|ArrayBuffer|Uint8Array} chain - parseChain() output, or chain text / bytes
+	 * @param {{ to: number|string, flipAlleles?: boolean }} options - to: target build (38, "GRCh38", "hg38");
+	 *   flipAlleles: complement effect / other alleles of variants that land on the minus strand
+	 * @returns {{
+	 *   score: object,  // same form as the input, build and header.genome_build set to the target build
+	 *   mapped: number,
+	 *   unmapped: Array<{row: number, rsID: string|null, chr: string, pos: number, reason: "no_block"|"minus_strand_indel"}>,
+	 *   flipped: Array<{row: number, rsID: string|null, chr: string, pos: number, newChr: string, newPos: number}>
+	 * }} row is the variant's index in the input score
+	 */
+	if (!to) {
+		throw new Error("liftoverScore() needs the target build, e.g. { to: 38 }.");
+	}
+	const { cols = [], dt = [], ...rest } = fromColumnar(score) ?? {};
+	if (cols.includes("hm_pos")) {
+		throw new Error(`${score?.id ?? "Score"} is a harmonized file; lift the author-submitted file instead: getTxts(ids, { source: "original" }).`);
+	}
+	const iChr = cols.indexOf("chr_name");
+	const iPos = cols.indexOf("chr_position");
+	if (iChr < 0 || iPos < 0) {
+		throw new Error(`${score?.id ?? "Score"} has no chr_name / chr_position columns to lift over.`);
+	}
+	const index = chain?.index ? chain : parseChain(chain);
+	const iRsid = cols.indexOf("rsID");
+	const alleleColumns = ["effect_allele", "other_allele", "hm_inferOtherAllele"].map((col) => cols.indexOf(col)).filter((i) => i >= 0);
+	const target = normalizeBuildLabel(to);
+
+	const lifted = [];
+	const unmapped = [];
+	const flipped = [];
+	dt.forEach((r, row) => {
+		const rsID = iRsid >= 0 ? r[iRsid] || null : null;
+		const mapped = liftoverPosition(index, r[iChr], r[iPos]);
+		if (!mapped) {
+			unmapped.push({ row, rsID, chr: r[iChr], pos: r[iPos], reason: "no_block" });
+			return;
+		}
+		let newPos = mapped.pos;
+		if (mapped.strand === "-") {
+			// the variant's last base becomes its first; it must land right next to the others
+			const span = getAlleleSpan(r, alleleColumns);
+			const last = span > 1 ? liftoverPosition(index, r[iChr], r[iPos] + span - 1) : mapped;
+			if (span == null || last?.chr !== mapped.chr || last.pos !== mapped.pos - (span - 1)) {
+				unmapped.push({ row, rsID, chr: r[iChr], pos: r[iPos], reason: span == null ? "minus_strand_indel" : "no_block" });
+				return;
+			}
+			newPos = last.pos;
+		}
+		const next = [...r];
+		next[iChr] = mapped.chr;
+		next[iPos] = newPos;
+		if (mapped.strand === "-") {
+			flipped.push({ row, rsID, chr: r[iChr], pos: r[iPos], newChr: mapped.chr, newPos });
+			if (flipAlleles) {
+				alleleColumns.forEach((i) => {
+					next[i] = next[i] ? reverseComplement(next[i]) : next[i];
+				});
+			}
+		}
+		lifted.push(next);
+	});
+
+	const liftedScore = {
+		...rest,
+		cols,
+		dt: lifted,
+		build: target,
+		header: rest.header ? { ...rest.header, genome_build: target, variants_number: lifted.length } : rest.header,
+	};
+	return {
+		score: score?.columnar ? toColumnar(liftedScore) : liftedScore,
+		mapped: lifted.length,
+		unmapped,
+		flipped,
+	};
+}
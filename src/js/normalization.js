@@ -0,0 +1,282 @@
+import { cacheStore } from "./cacheStore.js";
+import { enforceCacheQuota, recordCacheWrite } from "./cacheManager.js";
+import { scoreBatch } from "./scoring.js";
+
+// ---- reference distributions for z-scores and percentiles ----
+// A reference is kept per PGS ID under PGS_Catalog:reference-<id>, next to the PGS_Catalog:id-* scoring files:
+//   { id, kind: "cohort"|"parameters", groups: { ALL: {n, mean, sd, values?}, <ancestry>: {...} }, savedAt }
+// "cohort" references keep the sorted scores (empirical percentiles), "parameters" only mean/SD (normal percentiles).
+const REFERENCE_KEY_PREFIX = "PGS_Catalog:reference-";
+const ALL_GROUP = "ALL";
+const SAMPLE_COLUMNS = ["iid", "sample", "sample_id", "sampleid", "id"];
+const ANCESTRY_COLUMNS = ["ancestry", "ancestry_group", "superpopulation", "superpop", "population", "pop", "group"];
+const VALUE_COLUMNS = ["sum", "score", "score_sum", "prs", "pgs_sum"];
+
+const getReferenceKey = (id) => `${REFERENCE_KEY_PREFIX}${id}`;
+
+function normalCdf(z) {
+	// Abramowitz & Stegun 7.1.26, |error| < 1.5e-7
+	const x = Math.abs(z) / Math.SQRT2;
+	const t = 1 / (1 + 0.3275911 * x);
+	const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+	return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// percent of reference values below x, ties counted half (mid-rank)
+function empiricalPercentile(sorted, x) {
+	let lo = 0;
+	let hi = sorted.length;
+	while (lo < hi) {
+		const mid = (lo + hi) >> 1;
+		if (sorted[mid] < x) lo = mid + 1;
+		else hi = mid;
+	}
+	let equal = 0;
+	while (lo + equal < sorted.length && sorted[lo + equal] === x) equal += 1;
+	return (100 * (lo + equal / 2)) / sorted.length;
+}
+
+function summarizeGroup(values, keepValues) {
+	const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+	const n = sorted.length;
+	const mean = n ? sorted.reduce((sum, v) => sum + v, 0) / n : null;
+	const sd = n > 1 ? Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)) : null;
+	return keepValues ? { n, mean, sd, values: sorted } : { n, mean, sd };
+}
+
+// ancestry: { [sample]: group } or an array aligned with samples
+function getSampleAncestry(ancestry, sample, index) {
+	if (!ancestry) return null;
+	if (typeof ancestry === "string") return ancestry;
+	if (Array.isArray(ancestry)) return ancestry[index] ?? null;
+	return ancestry[sample] ?? null;
+}
+
+function groupValues(values, samples, ancestry) {
+	const groups = { [ALL_GROUP]: [] };
+	values.forEach((value, i) => {
+		groups[ALL_GROUP].push(value);
+		const group = getSampleAncestry(ancestry, samples?.[i], i);
+		if (group != null && group !== "") {
+			(groups[group] ??= []).push(value);
+		}
+	});
+	return groups;
+}
+
+// ---- core: build a reference from cohort scores ----
+export function createReference(id, values, { samples = null, ancestry = null, kind = "cohort" } = {}) {
+	/**
+	 * Build a reference distribution for one PGS ID from raw scores of a reference cohort.
+	 * @param {string} id - PGS ID the scores were computed for
+	 * @param {number[]} values - raw PRS sums of the reference samples
+	 * @param {{
+	 *   samples?: string[]|null,
+	 *   ancestry?: Object<string, string>|string[]|null,
+	 *   kind?: "cohort"|"parameters"
+	 * }} [options] - ancestry: group label per sample (by sample name or index) for ancestry-stratified percentiles;
+	 *   kind "parameters" keeps only n/mean/sd per group
+	 * @returns {{id: string, kind: string, groups: Object<string, {n: number, mean: number|null, sd: number|null, values?: number[]}>}}
+	 */
+	if (!id) {
+		throw new Error("createReference() needs the PGS ID the reference scores belong to.");
+	}
+	const groups = {};
+	for (const [group, groupScores] of Object.entries(groupValues(values, samples, ancestry))) {
+		groups[group] = summarizeGroup(groupScores, kind === "cohort");
+	}
+	if (!groups[ALL_GROUP].n) {
+		throw new Error(`Reference for ${id} has no numeric scores.`);
+	}
+	return { id, kind, groups };
+}
+
+function splitReferenceLine(line, delimiter) {
+	return (delimiter ? line.split(delimiter) : line.trim().split(/\s+/g)).map((field) => field.trim().replace(/^"|"$/g, ""));
+}
+
+// "PGS000001", "PGS000001_SUM", "PGS000001_hmPOS_GRCh38_SUM" -> "PGS000001"
+function getPgsIdFromColumn(column) {
+	return column.match(/^(PGS\d{6})/i)?.[1].toUpperCase() ?? null;
+}
+
+// ---- core: parse a cohort score file into references ----
+export function parseReferenceScores(txt, { id = null, ancestry = null } = {}) {
+	/**
+	 * Parse a cohort score table into references, one per PGS ID.
+	 * Long format (pgsc_calc aggregated_scores: IID, PGS, SUM) and wide format (one column per PGS ID,
+	 * or a single score column such as PLINK's SCORE1_SUM together with options.id) are supported.
+	 * An ancestry / population / superpop column gives the groups for ancestry-stratified percentiles.
+	 * @param {string} txt - tab, comma or whitespace separated file contents (uncompressed)
+	 * @param {{ id?: string|null, ancestry?: Object<string, string>|null }} [options] - id: PGS ID for a single
+	 *   unnamed score column; ancestry: group per sample when the file has no ancestry column
+	 * @returns {Array<{id: string, kind: "cohort", groups: Object}>}
+	 */
+	const lines = String(txt ?? "").split(/\r\n|\n|\r/g).filter((line) => line.trim() && !line.startsWith("##"));
+	if (lines.length < 2) {
+		throw new Error("Reference score file needs a header line and at least one sample.");
+	}
+	const delimiter = lines[0].includes("\t") ? "\t" : (lines[0].includes(",") ? "," : null);
+	const header = splitReferenceLine(lines[0].replace(/^#/, ""), delimiter);
+	const lower = header.map((column) => column.toLowerCase());
+	const findColumn = (names) => names.map((name) => lower.indexOf(name)).find((index) => index >= 0) ?? -1;
+	const iSample = findColumn(SAMPLE_COLUMNS);
+	const iAncestry = findColumn(ANCESTRY_COLUMNS);
+	const iPgs = lower.indexOf("pgs");
+	const iValue = findColumn(VALUE_COLUMNS);
+
+	// column index -> PGS ID
+	const scoreColumns = new Map();
+	if (iPgs < 0) {
+		header.forEach((column, index) => {
+			const pgsId = getPgsIdFromColumn(column);
+			if (pgsId) scoreColumns.set(index, pgsId);
+		});
+		if (!scoreColumns.size) {
+			const iSingle = iValue >= 0 ? iValue : lower.findIndex((column) => /^score\d*_(sum|avg)$/.test(column));
+			if (iSingle < 0 || !id) {
+				throw new Error("Reference score file has no PGS / SUM columns or PGS ID columns. Pass options.id for a single score column.");
+			}
+			scoreColumns.set(iSingle, id);
+		}
+	} else if (iValue < 0) {
+		throw new Error("Reference score file has a PGS column but no SUM / score column.");
+	}
+
+	// PGS ID -> { values, samples, ancestry }
+	const byId = new Map();
+	const add = (pgsId, value, sample, group) => {
+		if (!byId.has(pgsId)) byId.set(pgsId, { values: [], samples: [], ancestry: [] });
+		const entry = byId.get(pgsId);
+		entry.values.push(value);
+		entry.samples.push(sample);
+		entry.ancestry.push(group ?? getSampleAncestry(ancestry, sample, entry.samples.length - 1));
+	};
+	for (const line of lines.slice(1)) {
+		const fields = splitReferenceLine(line, delimiter);
+		const sample = iSample >= 0 ? fields[iSample] : null;
+		const group = iAncestry >= 0 ? fields[iAncestry] || null : null;
+		if (iPgs >= 0) {
+			add(getPgsIdFromColumn(fields[iPgs]) ?? fields[iPgs], parseFloat(fields[iValue]), sample, group);
+		} else {
+			scoreColumns.forEach((pgsId, index) => add(pgsId, parseFloat(fields[index]), sample, group));
+		}
+	}
+
+	return [...byId].map(([pgsId, entry]) => createReference(pgsId, entry.values, {
+		samples: entry.samples,
+		ancestry: entry.ancestry,
+	}));
+}
+
+// ---- core: mean/SD reference parameters from a local reference genotype set ----
+export async function referenceFromGenotypes(ids, vcf, { ancestry = null, ...options } = {}) {
+	/**
+	 * Score a reference VCF (e.g. 1000 Genomes) with scoreBatch() and keep the mean/SD per PGS ID and ancestry group.
+	 * @param {string[]} ids - PGS IDs
+	 * @param {string|ArrayBuffer|Uint8Array|object} vcf - reference genotypes, as accepted by scoreBatch()
+	 * @param {{ ancestry?: Object<string, string>|string[]|null }} [options] - group per reference sample;
+	 *   all other options are passed to scoreBatch()
+	 * @returns {Promise<Array<{id: string, kind: "parameters", groups: Object}>>}
+	 */
+	const { ids: scoredIds, samples, matrix } = await scoreBatch(ids, vcf, options);
+	return scoredIds.map((id, k) => createReference(id, matrix.map((row) => row[k]), {
+		samples,
+		ancestry,
+		kind: "parameters",
+	}));
+}
+
+export async function saveReference(reference) {
+	/**
+	 * Store a reference in the SDK cache (see cacheStore.js) under PGS_Catalog:reference-<id>.
+	 * Older references are then evicted if the references namespace is over configure({ cacheQuota }).
+	 * @param {{id: string, kind: string, groups: Object}} reference
+	 */
+	if (!reference?.id || !reference.groups) {
+		throw new Error("saveReference() expects a reference from createReference(), parseReferenceScores() or referenceFromGenotypes().");
+	}
+	const stored = { ...reference, savedAt: new Date().toISOString() };
+	await cacheStore.setItem(getReferenceKey(reference.id), stored);
+	await recordCacheWrite(getReferenceKey(reference.id), stored);
+	await enforceCacheQuota("references", { keep: [getReferenceKey(reference.id)] });
+	return stored;
+}
+
+export async function getReference(id) {
+	return cacheStore.getItem(getReferenceKey(id));
+}
+
+function getGroupStats(group, score) {
+	if (!group?.n || !Number.isFinite(score)) {
+		return { z: null, percentile: null };
+	}
+	const z = group.sd > 0 ? (score - group.mean) / group.sd : null;
+	const percentile = group.values?.length
+		? empiricalPercentile(group.values, score)
+		: (z == null ? null : 100 * normalCdf(z));
+	return { z, percentile };
+}
+
+// scoreGenotypes() / scoreVcf() results (single or array) or a scoreBatch() result -> [{ id, sample, s, score }]
+// s is the sample's index in its result, for ancestry given as an array
+function flattenScoreResults(results) {
+	if (results?.matrix) {
+		return results.samples.flatMap((sample, s) => results.ids.map((id, k) => ({
+			id,
+			sample,
+			s,
+			score: results.matrix[s][k],
+		})));
+	}
+	return (Array.isArray(results) ? results : [results]).flatMap((result) => (Array.isArray(result?.scores)
+		? result.samples.map((sample, s) => ({ id: result.id, sample, s, score: result.scores[s] }))
+		: [{ id: result?.id ?? null, sample: result?.sample ?? null, s: 0, score: result?.score }]));
+}
+
+// ---- core: z-scores and percentiles ----
+export async function normalizeScores(results, { references = null, ancestry = null } = {}) {
+	/**
+	 * Put raw scores in context of a reference distribution.
+	 * @param {object|object[]} results - scoreGenotypes() / scoreVcf() results or a scoreBatch() result
+	 * @param {{
+	 *   references?: object|object[]|null,
+	 *   ancestry?: string|Object<string, string>|string[]|null
+	 * }} [options] - references: references to use (default: the stored PGS_Catalog:reference-<id> entries);
+	 *   ancestry: group of the scored individual(s), a single label, { [sample]: group } or an array aligned with samples
+	 * @returns {Promise<Array<{
+	 *   id: string, sample: string|null, score: number, z: number|null, percentile: number|null,
+	 *   ancestry: string|null, ancestryZ: number|null, ancestryPercentile: number|null, reference: "cohort"|"parameters"
+	 * }>>} percentile is 0-100; empirical for cohort references, from the normal distribution for mean/SD references
+	 */
+	const referenceById = new Map();
+	for (const reference of [references ?? []].flat()) {
+		referenceById.set(reference.id, reference);
+	}
+
+	const rows = flattenScoreResults(results);
+	for (const { id } of rows) {
+		if (referenceById.has(id)) continue;
+		const stored = await getReference(id);
+		if (!stored) {
+			throw new Error(`No reference distribution for ${id}. Save one with saveReference() or pass options.references.`);
+		}
+		referenceById.set(id, stored);
+	}
+
+	return rows.map(({ s, ...row }) => {
+		const reference = referenceById.get(row.id);
+		const group = getSampleAncestry(ancestry, row.sample, s);
+		const overall = getGroupStats(reference.groups[ALL_GROUP], row.score);
+		const stratified = group != null ? getGroupStats(reference.groups[group], row.score) : { z: null, percentile: null };
+		return {
+			...row,
+			z: overall.z,
+			percentile: overall.percentile,
+			ancestry: group,
+			ancestryZ: stratified.z,
+			ancestryPercentile: stratified.percentile,
+			reference: reference.kind,
+		};
+	});
+}
@@ -0,0 +1,23 @@
+// ---- Node built-ins, registered by the Node build only ----
+// The filesystem cache driver (cacheStore.js), file paths in saveScoreFile() and cache snapshots, and the
+// node:crypto checksum fallback need node:fs/promises, node:path, node:os and node:crypto. The browser bundles must
+// not mention them at all (webpack 5 rejects the node: scheme even in code that never runs), so these modules only
+// ask for them here; platformNode.js, imported by cloudNodeEntry.js alone, hands them over.
+let nodeBuiltins = null;
+
+export function registerNodeBuiltins(builtins) {
+	nodeBuiltins = builtins;
+}
+
+// { fs, path, os, createHash }, or null outside the Node build
+export function getNodeBuiltins() {
+	return nodeBuiltins;
+}
+
+// same, but throws when the caller is not running the Node build
+export function requireNodeBuiltins(feature) {
+	if (!nodeBuiltins) {
+		throw new Error(`${feature} needs Node's file system. In Node, import the SDK from "pgs_catalog_sdk/cloud_sdk.mjs".`);
+	}
+	return nodeBuiltins;
+}
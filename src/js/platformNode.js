@@ -0,0 +1,8 @@
+import * as fs from "node:fs/promises";
+import * as path from "node:path";
+import * as os from "node:os";
+import { createHash } from "node:crypto";
+import { registerNodeBuiltins } from "./platform.js";
+
+// ---- Node-only: hands the node: built-ins to platform.js; imported by cloudNodeEntry.js, never by sdk.js ----
+registerNodeBuiltins({ fs, path, os, createHash });
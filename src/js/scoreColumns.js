@@ -0,0 +1,144 @@
+// console.log("get-pgscatalog-scores: scoreColumns.js loaded")
+
+// Compact columnar form of a parsed scoring file ({cols, dt}):
+//   positions (chr_position, hm_pos)                -> Uint32Array (0 = missing)
+//   weights (effect_weight, allelefrequency_effect) -> Float64Array (NaN = missing)
+//   hm_match_chr, hm_match_pos                      -> Uint8Array (1 = True)
+//   variant IDs (rsID, hm_rsID, ...)                -> plain string arrays
+//   everything else (chromosomes, alleles, ...)     -> { dict: [...values], codes: Uint8Array|Uint16Array|Uint32Array }
+const INT_COLUMNS = ['chr_position', 'hm_pos'];
+const FLOAT_COLUMNS = ['effect_weight', 'allelefrequency_effect'];
+const BOOL_COLUMNS = ['hm_match_chr', 'hm_match_pos'];
+const STRING_COLUMNS = ['rsID', 'hm_rsID', 'variant_description'];
+
+function getColumnKind(col) {
+    if (INT_COLUMNS.includes(col)) return "int";
+    if (FLOAT_COLUMNS.includes(col)) return "float";
+    if (BOOL_COLUMNS.includes(col)) return "bool";
+    if (STRING_COLUMNS.includes(col)) return "string";
+    return "dict";
+}
+
+function dictEncode(values) {
+    const dict = [];
+    const index = new Map();
+    const codes = values.map(value => {
+        const key = value ?? "";
+        if (!index.has(key)) {
+            index.set(key, dict.length);
+            dict.push(key);
+        }
+        return index.get(key);
+    });
+    const CodesArray = dict.length <= 256 ? Uint8Array : (dict.length <= 65536 ? Uint16Array : Uint32Array);
+    return { dict, codes: CodesArray.from(codes) };
+}
+
+// score with dt rows -> score with score.columnar = { length, columns: { [col]: ... } } and no dt / txt
+export function toColumnar(score) {
+    if (!score || score.columnar) {
+        return score;
+    }
+    const { dt = [], txt, ...rest } = score;
+    const columns = {};
+    (score.cols ?? []).forEach((col, ind) => {
+        const values = dt.map(r => r[ind]);
+        switch (getColumnKind(col)) {
+            case "int":
+                columns[col] = Uint32Array.from(values, v => (Number.isFinite(v) && v > 0) ? v : 0);
+                break;
+            case "float":
+                columns[col] = Float64Array.from(values, v => (typeof v === "number" ? v : parseFloat(v)));
+                break;
+            case "bool":
+                columns[col] = Uint8Array.from(values, v => (v === true || v === 'True') ? 1 : 0);
+                break;
+            case "string":
+                columns[col] = values.map(v => v ?? "");
+                break;
+            default:
+                columns[col] = dictEncode(values);
+        }
+    });
+    return {
+        ...rest,
+        columnar: {
+            length: dt.length,
+            columns,
+        },
+    };
+}
+
+// value of column col at row i of a columnar score
+function getColumnValue(column, i) {
+    if (column.codes) {
+        return column.dict[column.codes[i]];
+    }
+    return column[i];
+}
+
+// score with score.columnar -> score with the same dt rows parseScore() produces
+export function fromColumnar(score) {
+    if (!score?.columnar) {
+        return score;
+    }
+    const { columnar, ...rest } = score;
+    const cols = score.cols ?? Object.keys(columnar.columns);
+    const readers = cols.map(col => {
+        const column = columnar.columns[col];
+        switch (getColumnKind(col)) {
+            case "int":
+                return i => (column[i] === 0 ? NaN : column[i]);
+            case "bool":
+                return i => column[i] === 1;
+            default:
+                return i => getColumnValue(column, i);
+        }
+    });
+    const dt = new Array(columnar.length);
+    for (let i = 0; i < columnar.length; i++) {
+        dt[i] = readers.map(read => read(i));
+    }
+    return {
+        ...rest,
+        cols,
+        dt,
+    };
+}
+
+// harmonized coordinates (hm_chr / hm_pos / hm_rsID) are used whenever the file has them,
+// otherwise the author-submitted chr_name / chr_position / rsID
+// -> [{ rsID, chr, pos, effect_allele, other_allele, effect_weight, allelefrequency_effect }]
+export function getScoreVariants(score) {
+    const { cols = [], dt = [] } = fromColumnar(score) ?? {};
+    const ind = name => cols.indexOf(name);
+    const harmonized = ind('hm_pos') >= 0;
+    const iRsid = ind('hm_rsID') >= 0 ? ind('hm_rsID') : ind('rsID');
+    const iRsidOriginal = ind('rsID');
+    const iChr = harmonized ? ind('hm_chr') : ind('chr_name');
+    const iPos = harmonized ? ind('hm_pos') : ind('chr_position');
+    const iEffect = ind('effect_allele');
+    const iOther = ind('other_allele') >= 0 ? ind('other_allele') : ind('hm_inferOtherAllele');
+    const iWeight = ind('effect_weight');
+    const iFreq = ind('allelefrequency_effect');
+    const get = (r, i) => (i >= 0 ? r[i] : undefined);
+
+    return dt.map(r => ({
+        rsID: get(r, iRsid) || get(r, iRsidOriginal) || null,
+        chr: get(r, iChr) ? String(get(r, iChr)) : null,
+        pos: Number.isFinite(get(r, iPos)) ? get(r, iPos) : null,
+        effect_allele: String(get(r, iEffect) ?? "").toUpperCase(),
+        other_allele: get(r, iOther) ? String(get(r, iOther)).toUpperCase() : null,
+        effect_weight: get(r, iWeight),
+        allelefrequency_effect: Number.isFinite(get(r, iFreq)) ? get(r, iFreq) : null,
+    }));
+}
+
+// genome build of the coordinates getScoreVariants() returns
+export function getScoreBuild(score) {
+    const harmonized = (score?.cols ?? []).includes('hm_pos');
+    const build = harmonized
+        ? (score?.build ?? score?.header?.HmPOS_build)
+        : (score?.header?.genome_build ?? score?.build);
+    return build && build !== "NR" ? build : null;
+}
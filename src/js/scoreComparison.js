@@ -0,0 +1,124 @@
+import { normalizeChromosome } from "./genotypes.js";
+import { getScoreBuild, getScoreVariants } from "./scoreColumns.js";
+
+// ---- variant overlap and similarity between scoring files ----
+// Variants are keyed by chr:pos:alleles with the two alleles sorted, e.g. "1:1005806:C:T", so a variant whose
+// effect / other alleles are swapped in the other score is still shared; its weight is negated before correlating.
+
+function getVariantKey(variant) {
+	if (!variant.chr || variant.pos == null || !variant.effect_allele) return null;
+	const alleles = [variant.effect_allele, variant.other_allele ?? ""].sort();
+	return `${normalizeChromosome(variant.chr)}:${variant.pos}:${alleles.join(":")}`;
+}
+
+// key -> { effect_allele, effect_weight }, first occurrence wins for duplicated variants
+function indexScoreVariants(score) {
+	const index = new Map();
+	for (const variant of getScoreVariants(score)) {
+		const key = getVariantKey(variant);
+		if (key && !index.has(key)) {
+			index.set(key, { effect_allele: variant.effect_allele, effect_weight: variant.effect_weight });
+		}
+	}
+	return index;
+}
+
+function pearson(xs, ys) {
+	const n = xs.length;
+	if (n < 2) return null;
+	const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+	const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+	let sxy = 0;
+	let sxx = 0;
+	let syy = 0;
+	for (let i = 0; i < n; i++) {
+		sxy += (xs[i] - meanX) * (ys[i] - meanY);
+		sxx += (xs[i] - meanX) ** 2;
+		syy += (ys[i] - meanY) ** 2;
+	}
+	return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+function comparePair(a, b, includeShared) {
+	const [small, large, swapped] = a.size <= b.size ? [a, b, false] : [b, a, true];
+	const sharedVariants = [];
+	const weightsA = [];
+	const weightsB = [];
+	let shared = 0;
+	for (const [key, variant] of small) {
+		const other = large.get(key);
+		if (!other) continue;
+		shared += 1;
+		const [va, vb] = swapped ? [other, variant] : [variant, other];
+		// weights on the same effect allele
+		const weightB = va.effect_allele === vb.effect_allele ? vb.effect_weight : -vb.effect_weight;
+		if (includeShared) sharedVariants.push({ key, weights: [va.effect_weight, weightB] });
+		if (Number.isFinite(va.effect_weight) && Number.isFinite(weightB)) {
+			weightsA.push(va.effect_weight);
+			weightsB.push(weightB);
+		}
+	}
+	const union = a.size + b.size - shared;
+	return {
+		shared,
+		jaccard: union ? shared / union : null,
+		correlation: pearson(weightsA, weightsB),
+		sharedVariants,
+	};
+}
+
+// ---- core: pairwise overlap of two or more parsed scores ----
+export function compareScores(scores, { includeShared = true } = {}) {
+	/**
+	 * Compare the variants of two or more scores from getTxts().
+	 * @param {Array<object>} scores - parsed scores (row or columnar form), all on the same genome build
+	 * @param {{ includeShared?: boolean }} [options] - includeShared: list the shared variant keys and both weights per pair
+	 * @returns {{
+	 *   ids: string[],
+	 *   build: string|null,
+	 *   variants: number[],  // distinct chr:pos:alleles keys per score, same order as ids
+	 *   pairs: Array<{a: string, b: string, shared: number, jaccard: number|null, correlation: number|null,
+	 *     sharedVariants?: Array<{key: string, weights: [number, number]}>}>,
+	 *   matrix: { shared: number[][], jaccard: number[][], correlation: number[][] } // ids × ids, for a heatmap
+	 * }}
+	 */
+	const scoreList = Array.isArray(scores) ? scores : [scores];
+	if (scoreList.length < 2) {
+		throw new Error("compareScores() needs at least two scores.");
+	}
+	const builds = [...new Set(scoreList.map(getScoreBuild).filter(Boolean))];
+	if (builds.length > 1) {
+		throw new Error(`Scores are on different genome builds (${builds.join(", ")}). Load them with getTxts(ids, { build }) on one build.`);
+	}
+
+	const ids = scoreList.map((score, k) => score?.id ?? `score${k + 1}`);
+	const indexes = scoreList.map(indexScoreVariants);
+	const n = scoreList.length;
+	const matrix = {
+		shared: ids.map(() => new Array(n).fill(null)),
+		jaccard: ids.map(() => new Array(n).fill(null)),
+		correlation: ids.map(() => new Array(n).fill(null)),
+	};
+	const pairs = [];
+	for (let i = 0; i < n; i++) {
+		matrix.shared[i][i] = indexes[i].size;
+		matrix.jaccard[i][i] = indexes[i].size ? 1 : null;
+		matrix.correlation[i][i] = indexes[i].size > 1 ? 1 : null;
+		for (let j = i + 1; j < n; j++) {
+			const { sharedVariants, ...pair } = comparePair(indexes[i], indexes[j], includeShared);
+			pairs.push(includeShared ? { a: ids[i], b: ids[j], ...pair, sharedVariants } : { a: ids[i], b: ids[j], ...pair });
+			for (const [name, value] of Object.entries(pair)) {
+				matrix[name][i][j] = value;
+				matrix[name][j][i] = value;
+			}
+		}
+	}
+
+	return {
+		ids,
+		build: builds[0] ?? null,
+		variants: indexes.map((index) => index.size),
+		pairs,
+		matrix,
+	};
+}
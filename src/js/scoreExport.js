@@ -0,0 +1,210 @@
+import pako from "pako";
+import { normalizeChromosome } from "./genotypes.js";
+import { fromColumnar, getScoreBuild, getScoreVariants } from "./scoreColumns.js";
+import { requireNodeBuiltins } from "./platform.js";
+
+// ---- writers for downstream tools (PLINK 2 --score, pgsc_calc) ----
+
+// variant ID styles for PLINK --score files, matching how the .pvar IDs were set:
+//   "rsid"            rs IDs (hm_rsID, or rsID)
+//   "chr:pos"         --set-all-var-ids @:#
+//   "chr:pos:alleles" --set-all-var-ids @:#:$1:$2 (alleles in ASCII order)
+const PLINK_VARIANT_IDS = ["rsid", "chr:pos", "chr:pos:alleles"];
+// combined scoring file columns read by pgsc_calc (pgscatalog-combine output)
+const PGSC_CALC_COLUMNS = ["chr_name", "chr_position", "effect_allele", "other_allele", "effect_weight", "effect_type", "is_duplicated", "accession", "row_nr"];
+
+function getPlinkVariantId(variant, variantId, chrPrefix) {
+	if (variantId === "rsid") return variant.rsID || null;
+	if (!variant.chr || variant.pos == null) return null;
+	const locus = `${chrPrefix}${normalizeChromosome(variant.chr)}:${variant.pos}`;
+	if (variantId === "chr:pos") return locus;
+	if (!variant.other_allele) return null;
+	return `${locus}:${[variant.effect_allele, variant.other_allele].sort().join(":")}`;
+}
+
+// ---- core: PLINK 2 --score input ----
+export function toPlinkScore(scores, { variantId = "rsid", chrPrefix = "", header = true, split = false } = {}) {
+	/**
+	 * Write one or more scores from getTxts() as a PLINK 2 --score file: ID, A1 (effect allele) and one weight
+	 * column per score (0 where a score has no weight for that variant and allele, summed for duplicated rows).
+	 * Use with: plink2 --score <file> 1 2 header-read --score-col-nums 3-<2 + number of scores>
+	 * plink2 rejects a variant ID listed twice, so a variant weighted on different effect alleles (by two scores,
+	 * or twice in one) needs one file per effect allele, as pgsc_calc does: pass split: true and add up the
+	 * per-file sums. Dominant / recessive rows have no PLINK --score form and are left out (nonAdditive).
+	 * @param {object|object[]} scores - parsed scores (row or columnar form)
+	 * @param {{
+	 *   variantId?: "rsid"|"chr:pos"|"chr:pos:alleles",
+	 *   chrPrefix?: string,
+	 *   header?: boolean,
+	 *   split?: boolean
+	 * }} [options] - variantId: how variants are named in the target .pvar/.bim; chrPrefix: e.g. "chr" for chr1:12345;
+	 *   split: write several files instead of throwing when a variant ID has more than one effect allele
+	 * @returns {{
+	 *   text: string|null, rows: number, files: {text: string, rows: number}[],
+	 *   skipped: Object<string, number>, nonAdditive: Object<string, number>
+	 * }} text: the file when one is enough (null when split into several, see files);
+	 *   skipped: variants per score without an ID in the chosen style; nonAdditive: dominant / recessive variants per score
+	 */
+	if (!PLINK_VARIANT_IDS.includes(variantId)) {
+		throw new Error(`Unsupported PLINK variant ID style "${variantId}". Use one of: ${PLINK_VARIANT_IDS.join(", ")}`);
+	}
+	const scoreList = Array.isArray(scores) ? scores : [scores];
+	const ids = scoreList.map((score, k) => score?.id ?? `score${k + 1}`);
+
+	// one Map per output file, "ID\tA1" -> weights per score; the n-th effect allele of an ID goes to file n
+	const files = [];
+	const alleleFiles = new Map(); // ID -> Map(A1 -> file index)
+	const skipped = {};
+	const nonAdditive = {};
+	scoreList.forEach((score, k) => {
+		skipped[ids[k]] = 0;
+		nonAdditive[ids[k]] = 0;
+		const effectTypes = getEffectTypes(score);
+		getScoreVariants(score).forEach((variant, i) => {
+			const id = getPlinkVariantId(variant, variantId, chrPrefix);
+			if (!id || !variant.effect_allele || !Number.isFinite(variant.effect_weight)) {
+				skipped[ids[k]] += 1;
+				return;
+			}
+			if (effectTypes[i] !== "additive") {
+				nonAdditive[ids[k]] += 1;
+				return;
+			}
+			if (!alleleFiles.has(id)) alleleFiles.set(id, new Map());
+			const alleles = alleleFiles.get(id);
+			if (!alleles.has(variant.effect_allele)) {
+				if (alleles.size && !split) {
+					throw new Error(`Variant ID ${id} has more than one effect allele (${[...alleles.keys(), variant.effect_allele].join(", ")}) `
+						+ `and plink2 --score rejects duplicate IDs. Use toPlinkScore(scores, { split: true }) for one file per effect allele.`);
+				}
+				alleles.set(variant.effect_allele, alleles.size);
+			}
+			const n = alleles.get(variant.effect_allele);
+			files[n] ??= new Map();
+			const key = `${id}\t${variant.effect_allele}`;
+			if (!files[n].has(key)) files[n].set(key, new Array(scoreList.length).fill(0));
+			files[n].get(key)[k] += variant.effect_weight;
+		});
+	});
+
+	if (!files.length) files.push(new Map());
+	const written = files.map((rows) => {
+		const lines = header ? [["ID", "A1", ...ids].join("\t")] : [];
+		for (const [key, weights] of rows) {
+			lines.push(`${key}\t${weights.join("\t")}`);
+		}
+		return { text: `${lines.join("\n")}\n`, rows: rows.size };
+	});
+	return {
+		text: written.length === 1 ? written[0].text : null,
+		rows: written.reduce((total, file) => total + file.rows, 0),
+		files: written,
+		skipped,
+		nonAdditive,
+	};
+}
+
+function getEffectTypes(score) {
+	const { cols = [], dt = [] } = fromColumnar(score) ?? {};
+	const iRecessive = cols.indexOf("is_recessive");
+	const iDominant = cols.indexOf("is_dominant");
+	const isTrue = (value) => value === true || value === "True" || value === "TRUE";
+	return dt.map((r) => {
+		if (iRecessive >= 0 && isTrue(r[iRecessive])) return "recessive";
+		if (iDominant >= 0 && isTrue(r[iDominant])) return "dominant";
+		return "additive";
+	});
+}
+
+// ---- core: pgsc_calc combined scoring file ----
+export function toPgscCalcScore(scores) {
+	/**
+	 * Write one or more scores from getTxts() as a combined scoring file in the layout pgsc_calc reads
+	 * (as made by pgscatalog-combine): one row per variant, the PGS ID in the accession column.
+	 * Harmonized coordinates are used when the files have them. All scores must be on one genome build.
+	 * @param {object|object[]} scores - parsed scores (row or columnar form)
+	 * @returns {{text: string, build: string|null, rows: number, skipped: Object<string, number>}}
+	 *   skipped: variants per score without a position or effect allele
+	 */
+	const scoreList = Array.isArray(scores) ? scores : [scores];
+	const builds = [...new Set(scoreList.map(getScoreBuild).filter(Boolean))];
+	if (builds.length > 1) {
+		throw new Error(`Scores are on different genome builds (${builds.join(", ")}). Load them with getTxts(ids, { build }) on one build.`);
+	}
+
+	const lines = [PGSC_CALC_COLUMNS.join("\t")];
+	const skipped = {};
+	scoreList.forEach((score, k) => {
+		const accession = score?.id ?? `score${k + 1}`;
+		const effectTypes = getEffectTypes(score);
+		const seen = new Set();
+		skipped[accession] = 0;
+		getScoreVariants(score).forEach((variant, i) => {
+			if (!variant.chr || variant.pos == null || !variant.effect_allele) {
+				skipped[accession] += 1;
+				return;
+			}
+			const chr = normalizeChromosome(variant.chr);
+			const key = `${chr}:${variant.pos}:${variant.effect_allele}:${variant.other_allele ?? ""}`;
+			const isDuplicated = seen.has(key);
+			seen.add(key);
+			lines.push([
+				chr,
+				variant.pos,
+				variant.effect_allele,
+				variant.other_allele ?? "",
+				variant.effect_weight,
+				effectTypes[i],
+				isDuplicated ? "True" : "False",
+				accession,
+				i,
+			].join("\t"));
+		});
+	});
+	return {
+		text: `${lines.join("\n")}\n`,
+		build: builds[0] ?? null,
+		rows: lines.length - 1,
+		skipped,
+	};
+}
+
+// ---- core: save a written file (browser download or Node file) ----
+export async function saveScoreFile(text, filename) {
+	/**
+	 * Save the text from toPlinkScore() / toPgscCalcScore().
+	 * In the browser this starts a Blob download named after the file; in Node (cloud_sdk.mjs) it writes the file at that path.
+	 * Names ending in .gz are gzip-compressed.
+	 * @param {string|{text: string}} text - file contents, a writer result, or one of toPlinkScore(..., { split: true }).files
+	 * @param {string} filename - download name (browser) or file path (Node)
+	 * @returns {Promise<string>} the filename
+	 */
+	if (!filename) {
+		throw new Error("saveScoreFile() needs a file name.");
+	}
+	const contents = typeof text === "string" ? text : text?.text;
+	if (contents === null && text?.files?.length > 1) {
+		throw new Error("This toPlinkScore() result is split into several files: save each of its files instead.");
+	}
+	if (typeof contents !== "string") {
+		throw new Error("saveScoreFile() expects a string or the result of toPlinkScore() / toPgscCalcScore().");
+	}
+	const data = /\.gz$/i.test(filename) ? pako.gzip(contents) : contents;
+
+	if (typeof document !== "undefined" && typeof Blob !== "undefined") {
+		const blob = new Blob([data], { type: typeof data === "string" ? "text/tab-separated-values" : "application/gzip" });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = filename.split(/[\\/]/).pop();
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+		return filename;
+	}
+
+	const { fs } = requireNodeBuiltins("Saving to a file path");
+	await fs.writeFile(filename, data);
+	return filename;
+}
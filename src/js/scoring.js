@@ -0,0 +1,512 @@
+import { matchAlleles, summarizeMatchLog } from "./alleleMatching.js";
+import { normalizeChromosome, parseRawGenotypes, parseVcf } from "./genotypes.js";
+import { getTxts } from "./getPGS_loadTxts.js";
+import { getScoreBuild, getScoreVariants } from "./scoreColumns.js";
+
+// ---- local PRS calculation: apply getTxts() weights to an individual's genotypes ----
+
+const MATCH_MODES = ["auto", "rsid", "position"];
+// skip: leave missing variants out of the sum, mean-impute: add 2 × allelefrequency_effect × effect_weight,
+// fail: throw when the missing fraction is over maxMissingFraction
+const MISSING_MODES = ["skip", "mean-impute", "fail"];
+// the genotype itself is missing (as opposed to the variant being excluded by allele matching)
+const MISSING_GENOTYPE_REASONS = ["not_found", "no_call"];
+
+// getTxts() entries that failed to load ({ id, ok: false, error }) cannot be scored
+function checkLoadedScores(scoreList) {
+	const failed = scoreList.find((score) => score?.ok === false);
+	if (failed) throw failed.error;
+}
+
+function validateMissingOptions(missingMode, maxMissingFraction) {
+	if (!MISSING_MODES.includes(missingMode)) {
+		throw new Error(`Unsupported missingMode "${missingMode}". Use one of: ${MISSING_MODES.join(", ")}`);
+	}
+	if (!(maxMissingFraction >= 0 && maxMissingFraction <= 1)) {
+		throw new Error(`maxMissingFraction must be between 0 and 1, got ${maxMissingFraction}.`);
+	}
+}
+
+function checkMissingFraction(label, missingFraction, missingMode, maxMissingFraction) {
+	if (missingMode === "fail" && missingFraction > maxMissingFraction) {
+		throw new Error(`${label}: ${(missingFraction * 100).toFixed(1)}% of variants have no genotype, more than the ${(maxMissingFraction * 100).toFixed(1)}% allowed (missingMode "fail").`);
+	}
+}
+
+// expected effect allele dosage under Hardy-Weinberg, null when the score has no frequency
+function getMeanDosage(variant) {
+	return Number.isFinite(variant.allelefrequency_effect) ? 2 * variant.allelefrequency_effect : null;
+}
+
+function indexGenotypes(genotypes) {
+	const byRsid = new Map();
+	const byPosition = new Map();
+	for (const genotype of genotypes) {
+		if (genotype.rsid) byRsid.set(genotype.rsid, genotype);
+		if (genotype.chr && Number.isFinite(genotype.pos)) {
+			byPosition.set(`${genotype.chr}:${genotype.pos}`, genotype);
+		}
+	}
+	return { byRsid, byPosition };
+}
+
+function findGenotype(variant, index, matchBy) {
+	if (matchBy !== "position" && variant.rsID) {
+		const genotype = index.byRsid.get(variant.rsID);
+		if (genotype || matchBy === "rsid") return genotype ?? null;
+	}
+	if (matchBy !== "rsid" && variant.chr && variant.pos != null) {
+		return index.byPosition.get(`${normalizeChromosome(variant.chr)}:${variant.pos}`) ?? null;
+	}
+	return null;
+}
+
+function scoreVariant(variant, genotype, matchOptions) {
+	const row = {
+		rsID: variant.rsID,
+		chr: variant.chr,
+		pos: variant.pos,
+		effect_allele: variant.effect_allele,
+		other_allele: variant.other_allele,
+		effect_weight: variant.effect_weight,
+		allelefrequency_effect: variant.allelefrequency_effect,
+		genotype: null,
+		dosage: null,
+		contribution: 0,
+		imputed: false,
+		match: "excluded",
+		reason: "not_found",
+	};
+	if (!genotype) return row;
+
+	row.genotype = genotype.alleles ? genotype.alleles.join("") : null;
+	if (!genotype.alleles) {
+		row.reason = "no_call";
+		return row;
+	}
+	// a consumer genotype only shows the called alleles, not every allele at the site
+	const matched = matchAlleles(variant, genotype.alleles, { ...matchOptions, observed: true });
+	row.match = matched.match;
+	row.reason = matched.reason;
+	if (matched.match === "excluded") return row;
+
+	row.dosage = genotype.alleles.filter((allele) => allele === matched.effect_allele).length;
+	row.contribution = row.dosage * variant.effect_weight;
+	return row;
+}
+
+function scoreWithIndex(score, index, genotypeBuild, matchBy, missingOptions, matchOptions) {
+	const { missingMode, maxMissingFraction } = missingOptions;
+	const scoreBuild = getScoreBuild(score);
+	if (matchBy === "position" && genotypeBuild && scoreBuild && genotypeBuild !== scoreBuild) {
+		throw new Error(`Genotypes are on ${genotypeBuild} but ${score?.id} coordinates are on ${scoreBuild}. Load the score with getTxts(ids, { build: ${genotypeBuild.slice(4)} }).`);
+	}
+	// positions from another build are never compared; rsIDs still are
+	const positionMatchBy = genotypeBuild && scoreBuild && genotypeBuild !== scoreBuild ? "rsid" : matchBy;
+
+	const variants = getScoreVariants(score).map((variant) => scoreVariant(
+		variant,
+		findGenotype(variant, index, positionMatchBy),
+		matchOptions
+	));
+	const matched = variants.filter((variant) => variant.match !== "excluded");
+
+	const missingRows = variants.filter((variant) => MISSING_GENOTYPE_REASONS.includes(variant.reason));
+	const missingFraction = variants.length ? missingRows.length / variants.length : 0;
+	checkMissingFraction(score?.id, missingFraction, missingMode, maxMissingFraction);
+	let imputed = 0;
+	if (missingMode === "mean-impute") {
+		for (const row of missingRows) {
+			const dosage = getMeanDosage(row);
+			if (dosage == null) continue;
+			row.dosage = dosage;
+			row.contribution = dosage * row.effect_weight;
+			row.imputed = true;
+			imputed += 1;
+		}
+	}
+
+	return {
+		id: score?.id ?? null,
+		build: scoreBuild,
+		score: variants.reduce((sum, variant) => sum + variant.contribution, 0),
+		total: variants.length,
+		matched: matched.length,
+		missing: variants.length - matched.length,
+		missingHandling: {
+			mode: missingMode,
+			maxMissingFraction,
+			missingFraction,
+			imputed,
+			imputedFraction: variants.length ? imputed / variants.length : 0,
+		},
+		matchSummary: summarizeMatchLog(variants),
+		variants,
+	};
+}
+
+// ---- core: score one individual's genotypes against one or more parsed scoring files ----
+export function scoreGenotypes(scores, genotypes, { matchBy = "auto", missingMode = "skip", maxMissingFraction = 0.1, ...matchOptions } = {}) {
+	/**
+	 * Compute polygenic scores from an individual's genotypes.
+	 * Variants are matched by rsID and/or chromosome:position (harmonized hm_chr/hm_pos when available),
+	 * then alleles are harmonized with matchAlleles() (strand flips, ambiguous A/T and C/G SNPs).
+	 * @param {object|object[]} scores - getTxts() result(s), row or columnar form
+	 * @param {string|{build?: string|null, genotypes: object[]}} genotypes - raw-data file text or parseRawGenotypes() output
+	 * @param {{
+	 *   matchBy?: "auto"|"rsid"|"position",
+	 *   missingMode?: "skip"|"mean-impute"|"fail",
+	 *   maxMissingFraction?: number,
+	 *   keepAmbiguous?: boolean, keepMultiallelic?: boolean, maxAmbiguousMaf?: number
+	 * }} [options]
+	 * @returns {object|object[]} { id, build, score, total, matched, missing, missingHandling, matchSummary, variants } per score
+	 */
+	if (!MATCH_MODES.includes(matchBy)) {
+		throw new Error(`Unsupported matchBy "${matchBy}". Use one of: ${MATCH_MODES.join(", ")}`);
+	}
+	validateMissingOptions(missingMode, maxMissingFraction);
+	const missingOptions = { missingMode, maxMissingFraction };
+	const parsed = typeof genotypes === "string" ? parseRawGenotypes(genotypes) : genotypes;
+	if (!Array.isArray(parsed?.genotypes)) {
+		throw new Error("scoreGenotypes() expects raw genotype file text or parseRawGenotypes() output.");
+	}
+
+	checkLoadedScores([scores].flat());
+	const index = indexGenotypes(parsed.genotypes);
+	if (Array.isArray(scores)) {
+		return scores.map((score) => scoreWithIndex(score, index, parsed.build ?? null, matchBy, missingOptions, matchOptions));
+	}
+	return scoreWithIndex(scores, index, parsed.build ?? null, matchBy, missingOptions, matchOptions);
+}
+
+// ---- VCF: per-sample scores from GT / DS ----
+
+function indexVcfRecords(records) {
+	const byPosition = new Map();
+	for (const record of records) {
+		const key = `${record.chr}:${record.pos}`;
+		if (!byPosition.has(key)) byPosition.set(key, []);
+		byPosition.get(key).push(record);
+	}
+	return byPosition;
+}
+
+// 0 = REF, k = k-th ALT, -1 = not in the record
+function getAlleleIndex(record, allele) {
+	if (allele === record.ref) return 0;
+	const altIndex = record.alt.indexOf(allele);
+	return altIndex < 0 ? -1 : altIndex + 1;
+}
+
+// first record at the variant position carrying both the effect and the other allele (on the target strand)
+function matchVcfRecord(variant, records = []) {
+	for (const record of records) {
+		const effectIndex = getAlleleIndex(record, variant.effect_allele);
+		if (effectIndex < 0) continue;
+		if (variant.other_allele) {
+			const otherIndex = getAlleleIndex(record, variant.other_allele);
+			if (otherIndex < 0 || otherIndex === effectIndex) continue;
+		}
+		return { record, effectIndex };
+	}
+	return null;
+}
+
+// effect allele dosage of sample s (DS when present and useDosage, otherwise GT), null when not called
+function getVcfDosage(record, effectIndex, s, useDosage) {
+	const first = record.gt[2 * s];
+	const second = record.gt[2 * s + 1];
+	if (useDosage && record.ds) {
+		const nAlt = record.alt.length;
+		if (effectIndex > 0) {
+			const value = record.ds[s * nAlt + effectIndex - 1];
+			if (!Number.isNaN(value)) return value;
+		} else {
+			let altDosage = 0;
+			for (let k = 0; k < nAlt; k++) altDosage += record.ds[s * nAlt + k];
+			if (!Number.isNaN(altDosage)) return (second === -2 ? 1 : 2) - altDosage;
+		}
+	}
+	if (first === -1) return null;
+	return (first === effectIndex ? 1 : 0) + (second === effectIndex ? 1 : 0);
+}
+
+// frequency of an allele across all called samples at a site
+function getVcfAlleleFrequency(records, allele) {
+	for (const record of records) {
+		const alleleIndex = getAlleleIndex(record, allele);
+		if (alleleIndex < 0) continue;
+		let count = 0;
+		let called = 0;
+		for (const value of record.gt) {
+			if (value < 0) continue;
+			called += 1;
+			if (value === alleleIndex) count += 1;
+		}
+		return called ? count / called : null;
+	}
+	return null;
+}
+
+// per-score accumulator shared by scoreVcf() and scoreBatch()
+function createVcfTally(score, vcf) {
+	const scoreBuild = getScoreBuild(score);
+	if (vcf.build && scoreBuild && vcf.build !== scoreBuild) {
+		throw new Error(`VCF is on ${vcf.build} but ${score?.id} coordinates are on ${scoreBuild}. Load the score with getTxts(ids, { build: ${vcf.build.slice(4)} }).`);
+	}
+	const nSamples = vcf.samples.length;
+	return {
+		id: score?.id ?? null,
+		build: scoreBuild,
+		nSamples,
+		sums: new Array(nSamples).fill(0),
+		missingCalls: new Array(nSamples).fill(0),
+		imputedCalls: new Array(nSamples).fill(0),
+		matched: 0,
+		missingVariants: 0,
+		imputedVariants: 0,
+		variants: [],
+	};
+}
+
+// match one score variant against the VCF records at its position and add it to every sample's sum
+function applyVcfVariant(tally, variant, records, useDosage, missingOptions, matchOptions) {
+	const { nSamples, sums } = tally;
+	const row = {
+		rsID: variant.rsID,
+		chr: variant.chr,
+		pos: variant.pos,
+		effect_allele: variant.effect_allele,
+		other_allele: variant.other_allele,
+		effect_weight: variant.effect_weight,
+		ref: null,
+		alt: null,
+		imputed: false,
+		match: "excluded",
+		reason: "not_found",
+	};
+	tally.variants.push(row);
+	const meanDosage = missingOptions.missingMode === "mean-impute" ? getMeanDosage(variant) : null;
+	if (!records) {
+		tally.missingVariants += 1;
+		if (meanDosage != null) {
+			for (let s = 0; s < nSamples; s++) sums[s] += meanDosage * variant.effect_weight;
+			row.imputed = true;
+			tally.imputedVariants += 1;
+		}
+		return;
+	}
+
+	// split multi-allelic records at one position count as one multi-allelic site
+	const siteAlleles = records.flatMap((record) => [record.ref, ...record.alt]);
+	const matchedAlleles = matchAlleles(variant, siteAlleles, {
+		...matchOptions,
+		getTargetFrequency: (allele) => getVcfAlleleFrequency(records, allele),
+	});
+	row.match = matchedAlleles.match;
+	row.reason = matchedAlleles.reason;
+	if (matchedAlleles.match === "excluded") return;
+
+	const match = matchVcfRecord(matchedAlleles, records);
+	if (!match) {
+		row.match = "excluded";
+		row.reason = "allele_mismatch";
+		return;
+	}
+	row.ref = match.record.ref;
+	row.alt = match.record.alt.join(",");
+	tally.matched += 1;
+
+	for (let s = 0; s < nSamples; s++) {
+		const dosage = getVcfDosage(match.record, match.effectIndex, s, useDosage);
+		if (dosage == null) {
+			tally.missingCalls[s] += 1;
+			if (meanDosage != null) {
+				sums[s] += meanDosage * variant.effect_weight;
+				tally.imputedCalls[s] += 1;
+			}
+			continue;
+		}
+		sums[s] += dosage * variant.effect_weight;
+	}
+}
+
+function finishVcfTally(tally, vcf, missingOptions) {
+	const { missingMode, maxMissingFraction } = missingOptions;
+	const { missingCalls, imputedCalls, missingVariants, imputedVariants, variants } = tally;
+	const total = variants.length;
+	const missingFraction = missingCalls.map((calls) => (total ? (missingVariants + calls) / total : 0));
+	missingFraction.forEach((fraction, s) => {
+		checkMissingFraction(`${tally.id} sample ${vcf.samples[s]}`, fraction, missingMode, maxMissingFraction);
+	});
+
+	return {
+		id: tally.id,
+		build: tally.build,
+		samples: vcf.samples,
+		scores: tally.sums,
+		total,
+		matched: tally.matched,
+		missing: total - tally.matched,
+		missingCalls,
+		missingHandling: {
+			mode: missingMode,
+			maxMissingFraction,
+			missingFraction,
+			imputed: imputedCalls.map((calls) => imputedVariants + calls),
+			imputedFraction: imputedCalls.map((calls) => (total ? (imputedVariants + calls) / total : 0)),
+		},
+		matchSummary: summarizeMatchLog(variants),
+		variants,
+	};
+}
+
+function getVariantPositionKey(variant) {
+	return variant.chr && variant.pos != null ? `${normalizeChromosome(variant.chr)}:${variant.pos}` : null;
+}
+
+function scoreVcfWithIndex(score, vcf, byPosition, useDosage, missingOptions, matchOptions) {
+	const tally = createVcfTally(score, vcf);
+	for (const variant of getScoreVariants(score)) {
+		const key = getVariantPositionKey(variant);
+		applyVcfVariant(tally, variant, key ? byPosition.get(key) : null, useDosage, missingOptions, matchOptions);
+	}
+	return finishVcfTally(tally, vcf, missingOptions);
+}
+
+// ---- core: per-sample scores from a VCF for one or more parsed scoring files ----
+export function scoreVcf(scores, vcf, { useDosage = true, missingMode = "skip", maxMissingFraction = 0.1, ...matchOptions } = {}) {
+	/**
+	 * Compute per-sample polygenic scores from a VCF.
+	 * Records are matched on chromosome:position (harmonized hm_chr/hm_pos when available) and on
+	 * effect_allele/other_allele against REF/ALT, harmonized with matchAlleles(); ambiguous SNPs can be
+	 * resolved with allelefrequency_effect against the VCF's own allele frequency.
+	 * @param {object|object[]} scores - getTxts() result(s), row or columnar form
+	 * @param {string|ArrayBuffer|Uint8Array|object} vcf - VCF text or .vcf(.gz) bytes, or parseVcf() output
+	 * @param {{
+	 *   useDosage?: boolean,
+	 *   missingMode?: "skip"|"mean-impute"|"fail",
+	 *   maxMissingFraction?: number,
+	 *   keepAmbiguous?: boolean, keepMultiallelic?: boolean, maxAmbiguousMaf?: number
+	 * }} [options] - useDosage: use DS instead of GT when the VCF has it;
+	 *   missingMode / maxMissingFraction apply per sample (missing variants + missing calls)
+	 * @returns {object|object[]} { id, build, samples, scores, total, matched, missing, missingCalls, missingHandling, matchSummary, variants } per score
+	 */
+	validateMissingOptions(missingMode, maxMissingFraction);
+	const missingOptions = { missingMode, maxMissingFraction };
+	const scoreList = Array.isArray(scores) ? scores : [scores];
+	checkLoadedScores(scoreList);
+	let parsed = vcf;
+	if (!Array.isArray(vcf?.records)) {
+		// only keep the records the scores can use
+		const positions = new Set();
+		for (const score of scoreList) {
+			for (const variant of getScoreVariants(score)) {
+				const key = getVariantPositionKey(variant);
+				if (key) positions.add(key);
+			}
+		}
+		parsed = parseVcf(vcf, { positions });
+	}
+
+	const byPosition = indexVcfRecords(parsed.records);
+	const results = scoreList.map((score) => scoreVcfWithIndex(score, parsed, byPosition, useDosage, missingOptions, matchOptions));
+	return Array.isArray(scores) ? results : results[0];
+}
+
+// ---- core: batch scoring, samples × PGS IDs in one pass over the genotypes ----
+export async function scoreBatch(ids, vcf, {
+	build,
+	source,
+	cache = true,
+	signal = null,
+	onProgress = null,
+	maxAge = null,
+	forceRefresh = false,
+	useDosage = true,
+	missingMode = "skip",
+	maxMissingFraction = 0.1,
+	includeVariants = false,
+	...matchOptions
+} = {}) {
+	/**
+	 * Score every sample of a VCF against several PGS IDs at once.
+	 * Scoring files are resolved with getTxts(); their variants are merged into one position index so each
+	 * genotype site is read once for all scores.
+	 * @param {string[]} ids - PGS IDs
+	 * @param {string|ArrayBuffer|Uint8Array|object} vcf - VCF text or .vcf(.gz) bytes, or parseVcf() output
+	 * @param {{
+	 *   build?: number|string, source?: "harmonized"|"original", cache?: boolean,
+	 *   signal?: AbortSignal, onProgress?: Function, maxAge?: number, forceRefresh?: boolean,
+	 *   useDosage?: boolean, missingMode?: "skip"|"mean-impute"|"fail", maxMissingFraction?: number,
+	 *   keepAmbiguous?: boolean, keepMultiallelic?: boolean, maxAmbiguousMaf?: number,
+	 *   includeVariants?: boolean
+	 * }} [options] - build/source/cache/signal/onProgress/maxAge/forceRefresh are passed to getTxts(); includeVariants keeps the per-variant match logs
+	 * @returns {Promise<{
+	 *   ids: string[],
+	 *   samples: string[],
+	 *   matrix: number[][], // matrix[sample][score], same order as samples / ids
+	 *   stats: Object<string, {build, total, matched, missing, missingCalls, missingHandling, matchSummary, variants?}>,
+	 *   errors: Object<string, Error> // IDs getTxts() could not load, left out of ids / matrix
+	 * }>}
+	 */
+	validateMissingOptions(missingMode, maxMissingFraction);
+	const missingOptions = { missingMode, maxMissingFraction };
+	const idList = [...new Set((Array.isArray(ids) ? ids : [ids]).map((id) => String(id ?? "").trim()).filter(Boolean))];
+	const loaded = await getTxts(idList, { build, source, cache, columnar: true, signal, onProgress, maxAge, forceRefresh });
+	// IDs that failed to download are reported in errors and left out of the matrix
+	const errors = {};
+	const scores = loaded.filter((score) => {
+		if (score.ok !== false) return true;
+		errors[score.id] = score.error;
+		return false;
+	});
+	if (!scores.length) {
+		throw loaded[0]?.error ?? new Error("scoreBatch() needs at least one PGS ID.");
+	}
+
+	// merged variant index: "chr:pos" -> [{ k: score index, variant }]
+	const merged = new Map();
+	const unplaced = scores.map(() => []);
+	scores.forEach((score, k) => {
+		for (const variant of getScoreVariants(score)) {
+			const key = getVariantPositionKey(variant);
+			if (!key) {
+				unplaced[k].push(variant);
+				continue;
+			}
+			if (!merged.has(key)) merged.set(key, []);
+			merged.get(key).push({ k, variant });
+		}
+	});
+
+	const parsed = Array.isArray(vcf?.records) ? vcf : parseVcf(vcf, { positions: new Set(merged.keys()) });
+	const byPosition = indexVcfRecords(parsed.records);
+	const tallies = scores.map((score) => createVcfTally(score, parsed));
+
+	for (const [key, entries] of merged) {
+		const records = byPosition.get(key);
+		for (const { k, variant } of entries) {
+			applyVcfVariant(tallies[k], variant, records, useDosage, missingOptions, matchOptions);
+		}
+	}
+	unplaced.forEach((variants, k) => {
+		for (const variant of variants) {
+			applyVcfVariant(tallies[k], variant, null, useDosage, missingOptions, matchOptions);
+		}
+	});
+
+	const stats = {};
+	const results = tallies.map((tally) => finishVcfTally(tally, parsed, missingOptions));
+	results.forEach(({ id, samples, scores: sums, variants, ...rest }) => {
+		stats[id] = includeVariants ? { ...rest, variants } : rest;
+	});
+
+	return {
+		ids: results.map((result) => result.id),
+		samples: parsed.samples,
+		matrix: parsed.samples.map((sample, s) => results.map((result) => result.scores[s])),
+		stats,
+		errors,
+	};
+}
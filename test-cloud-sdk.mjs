@@ -1,11 +1,61 @@
 // test-cloud-sdk.mjs - Quick validation that cloud_sdk.mjs exports expected SDK functions
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { gzipSync } from "node:zlib";
 import {
   fetchAllScores,
   fetchSomeScores,
+  syncAllScores,
   fetchTraits,
   getScoresPerTrait,
   getScoresPerCategory,
   getTxts,
+  previewScoreFile,
+  PgsCatalogError,
+  HttpStatusError,
+  NotHarmonizedError,
+  ScoreFileTooLargeError,
+  GzipCorruptError,
+  RequestTimeoutError,
+  SnapshotError,
+  configureHttp,
+  configure,
+  getConfig,
+  toColumnar,
+  fromColumnar,
+  parseRawGenotypes,
+  scoreGenotypes,
+  parseVcf,
+  scoreVcf,
+  scoreBatch,
+  matchAlleles,
+  createReference,
+  parseReferenceScores,
+  referenceFromGenotypes,
+  saveReference,
+  getReference,
+  normalizeScores,
+  compareScores,
+  toPlinkScore,
+  toPgscCalcScore,
+  saveScoreFile,
+  parseChain,
+  liftoverPosition,
+  liftoverScore,
+  configureStorage,
+  createFileStorage,
+  waitForCacheRefresh,
+  exportCacheSnapshot,
+  importCacheSnapshot,
+  listCacheEntries,
+  getCacheUsage,
+  clearCache,
+  enforceCacheQuota,
+  pinScores,
+  unpinScores,
+  getPinnedScores,
   loadScoreStats,
 } from "./dist/cloud_sdk.mjs";
 
@@ -13,10 +63,192 @@ console.log("✓ cloud_sdk.mjs imported successfully (Node-safe)");
 console.log("\nExported functions:");
 console.log("  - fetchAllScores:", typeof fetchAllScores);
 console.log("  - fetchSomeScores:", typeof fetchSomeScores);
+console.log("  - syncAllScores:", typeof syncAllScores);
 console.log("  - fetchTraits:", typeof fetchTraits);
 console.log("  - getScoresPerTrait:", typeof getScoresPerTrait);
 console.log("  - getScoresPerCategory:", typeof getScoresPerCategory);
 console.log("  - getTxts:", typeof getTxts);
+console.log("  - previewScoreFile:", typeof previewScoreFile);
+console.log("  - PgsCatalogError:", typeof PgsCatalogError);
+console.log("  - HttpStatusError:", typeof HttpStatusError);
+console.log("  - NotHarmonizedError:", typeof NotHarmonizedError);
+console.log("  - ScoreFileTooLargeError:", typeof ScoreFileTooLargeError);
+console.log("  - GzipCorruptError:", typeof GzipCorruptError);
+console.log("  - RequestTimeoutError:", typeof RequestTimeoutError);
+console.log("  - SnapshotError:", typeof SnapshotError);
+console.log("  - configureHttp:", typeof configureHttp);
+console.log("  - configure:", typeof configure);
+console.log("  - getConfig:", typeof getConfig);
+console.log("  - toColumnar:", typeof toColumnar);
+console.log("  - fromColumnar:", typeof fromColumnar);
+console.log("  - parseRawGenotypes:", typeof parseRawGenotypes);
+console.log("  - scoreGenotypes:", typeof scoreGenotypes);
+console.log("  - parseVcf:", typeof parseVcf);
+console.log("  - scoreVcf:", typeof scoreVcf);
+console.log("  - scoreBatch:", typeof scoreBatch);
+console.log("  - matchAlleles:", typeof matchAlleles);
+console.log("  - createReference:", typeof createReference);
+console.log("  - parseReferenceScores:", typeof parseReferenceScores);
+console.log("  - referenceFromGenotypes:", typeof referenceFromGenotypes);
+console.log("  - saveReference:", typeof saveReference);
+console.log("  - getReference:", typeof getReference);
+console.log("  - normalizeScores:", typeof normalizeScores);
+console.log("  - compareScores:", typeof compareScores);
+console.log("  - toPlinkScore:", typeof toPlinkScore);
+console.log("  - toPgscCalcScore:", typeof toPgscCalcScore);
+console.log("  - saveScoreFile:", typeof saveScoreFile);
+console.log("  - parseChain:", typeof parseChain);
+console.log("  - liftoverPosition:", typeof liftoverPosition);
+console.log("  - liftoverScore:", typeof liftoverScore);
+console.log("  - configureStorage:", typeof configureStorage);
+console.log("  - createFileStorage:", typeof createFileStorage);
+console.log("  - waitForCacheRefresh:", typeof waitForCacheRefresh);
+console.log("  - exportCacheSnapshot:", typeof exportCacheSnapshot);
+console.log("  - importCacheSnapshot:", typeof importCacheSnapshot);
+console.log("  - listCacheEntries:", typeof listCacheEntries);
+console.log("  - getCacheUsage:", typeof getCacheUsage);
+console.log("  - clearCache:", typeof clearCache);
+console.log("  - enforceCacheQuota:", typeof enforceCacheQuota);
+console.log("  - pinScores:", typeof pinScores);
+console.log("  - unpinScores:", typeof unpinScores);
+console.log("  - getPinnedScores:", typeof getPinnedScores);
 console.log("  - loadScoreStats:", typeof loadScoreStats);
 
 console.log("\n✓ cloud_sdk.mjs export surface validated");
+
+// ---- behaviour checks on small hand-built inputs ----
+console.log("\nBehaviour checks:");
+
+// liftover onto a minus-strand block: chr1 (2000 bp) maps reversed onto itself
+{
+  const chain = "chain 100 chr1 2000 + 0 2000 chr1 2000 - 0 2000 1\n2000\n";
+  const score = {
+    id: "PGS_TEST",
+    cols: ["rsID", "chr_name", "chr_position", "effect_allele", "other_allele", "effect_weight"],
+    dt: [
+      ["rsSNV", "1", 10, "A", "G", 1],
+      ["rsMNP", "1", 1009, "AC", "GT", 1],
+      ["rsDEL", "1", 20, "AC", "A", 1],
+    ],
+  };
+  const { score: lifted, unmapped, flipped } = liftoverScore(score, chain, { to: 38 });
+  assert.deepEqual(lifted.dt, [
+    ["rsSNV", "1", 1991, "T", "C", 1],
+    ["rsMNP", "1", 991, "GT", "AC", 1], // reverse complement, moved to the new left end
+  ]);
+  assert.deepEqual(unmapped.map((v) => [v.rsID, v.reason]), [["rsDEL", "minus_strand_indel"]]);
+  assert.equal(flipped.length, 2);
+  console.log("  ✓ liftoverScore: minus-strand SNV, MNP and indel");
+}
+// allele matching: strand flip and ambiguous A/T SNP
+{
+  const flipped = matchAlleles({ effect_allele: "A", other_allele: "G" }, ["T", "C"]);
+  assert.deepEqual([flipped.match, flipped.reason, flipped.effect_allele, flipped.other_allele], ["flipped", "strand_flip", "T", "C"]);
+  const ambiguous = matchAlleles({ effect_allele: "A", other_allele: "T" }, ["A", "T"]);
+  assert.deepEqual([ambiguous.match, ambiguous.reason], ["excluded", "ambiguous"]);
+  const kept = matchAlleles({ effect_allele: "A", other_allele: "T" }, ["A", "T"], { keepAmbiguous: true });
+  assert.deepEqual([kept.match, kept.reason], ["kept", "ambiguous_kept"]);
+  console.log("  ✓ matchAlleles: strand flip and ambiguous A/T SNP");
+}
+
+// network-backed loaders against a stubbed catalog, cached in a throwaway directory
+const cacheDir = await mkdtemp(join(tmpdir(), "pgs-sdk-smoke-"));
+configureStorage({ driver: "filesystem", dir: cacheDir });
+configure({ restBase: "https://pgs.test/rest", scoringFileBase: "https://pgs.test/scores" });
+const today = new Date().toISOString().slice(0, 10);
+const catalog = [1, 2, 3].map((n) => ({ id: `PGS00000${n}`, name: `score ${n}`, trait_efo: [], date_release: "2024-01-01" }));
+const releases = [{ date: "2024-01-01", released_score_ids: catalog.map((score) => score.id) }];
+const scoringFiles = {
+  PGS000001: [["rs1", "1", "100", "A", "G", "0.5", "1", "100"], ["rs2", "1", "200", "T", "C", "2", "1", "200"]],
+  PGS000002: [["rs1", "1", "100", "G", "A", "1", "1", "100"]],
+};
+const json = (body) => new Response(JSON.stringify(body));
+const requested = [];
+configureHttp({
+  retries: 0,
+  fetch: async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    requested.push(pathname);
+    const limit = Number(searchParams.get("limit") ?? 50);
+    const offset = Number(searchParams.get("offset") ?? 0);
+    if (pathname === "/rest/release/all") return json({ count: releases.length, next: null, results: releases });
+    if (pathname === "/rest/score/all") {
+      return json({ count: catalog.length, next: offset + limit < catalog.length ? url : null, results: catalog.slice(offset, offset + limit) });
+    }
+    const restScore = catalog.find((score) => pathname === `/rest/score/${score.id}`);
+    if (restScore) return json(restScore);
+    const id = pathname.match(/PGS\d{6}/)?.[0];
+    if (pathname.startsWith("/scores/") && id === "PGS000009") {
+      // the first 5 bytes of a gzip stream, then nothing
+      const start = gzipSync("#pgs_id=PGS000009\n").subarray(0, 5);
+      return new Response(new ReadableStream({ start: (stream) => stream.enqueue(start) }));
+    }
+    if (pathname.startsWith("/scores/") && scoringFiles[id]) {
+      const header = `#pgs_id=${id}\n#genome_build=GRCh37\nrsID\tchr_name\tchr_position\teffect_allele\tother_allele\teffect_weight\thm_chr\thm_pos\n`;
+      return new Response(gzipSync(header + scoringFiles[id].map((row) => row.join("\t")).join("\n") + "\n"));
+    }
+    return new Response("not found", { status: 404 });
+  },
+});
+
+try {
+  // two-sample batch: S1 = A/G at rs1, T/T at rs2; S2 = G/G at rs1, C/T at rs2
+  {
+    const vcf = [
+      "##fileformat=VCFv4.2",
+      "#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO\tFORMAT\tS1\tS2",
+      "1\t100\trs1\tG\tA\t.\t.\t.\tGT\t0/1\t0/0",
+      "1\t200\trs2\tC\tT\t.\t.\t.\tGT\t1/1\t0/1",
+    ].join("\n");
+    const batch = await scoreBatch(["PGS000001", "PGS000002"], vcf, { build: 38 });
+    assert.deepEqual(batch.ids, ["PGS000001", "PGS000002"]);
+    assert.deepEqual(batch.samples, ["S1", "S2"]);
+    assert.deepEqual(batch.matrix, [[4.5, 1], [2, 2]]);
+    console.log("  ✓ scoreBatch: two samples, two scores");
+  }
+
+  // incremental sync from /release/all, then the full-download fallback when a score was withdrawn
+  {
+    const first = await fetchAllScores({ pageSize: 2 });
+    assert.equal(first.scores.length, 3);
+    catalog.push({ id: "PGS000004", name: "score 4", trait_efo: [], date_release: today });
+    catalog[0] = { ...catalog[0], name: "score 1 (updated)" };
+    releases.unshift({ date: today, released_score_ids: ["PGS000004", "PGS000001"] });
+    const incremental = await fetchAllScores({ pageSize: 2, maxAge: 0 });
+    assert.equal(incremental.sync.mode, "incremental");
+    assert.deepEqual(incremental.sync.added, ["PGS000004"]);
+    assert.deepEqual(incremental.sync.modified, ["PGS000001"]);
+    assert.equal(incremental.scores.find((score) => score.id === "PGS000001").name, "score 1 (updated)");
+
+    catalog.splice(1, 1); // PGS000002 withdrawn: the cached count no longer adds up
+    const full = (await syncAllScores({ pageSize: 2 })).sync;
+    assert.equal(full.mode, "full");
+    assert.deepEqual(full.removed, ["PGS000002"]);
+    assert.equal(full.total, 3);
+    console.log("  ✓ syncAllScores: incremental update and full fallback");
+  }
+
+  // a body that stalls after 5 bytes keeps its concurrency slot until the signal cancels the read
+  {
+    configureHttp({ concurrency: 1 });
+    const controller = new AbortController();
+    let started;
+    const firstChunk = new Promise((resolve) => { started = resolve; });
+    const stalled = getTxts(["PGS000009"], { cache: false, signal: controller.signal, onProgress: ({ bytes }) => bytes && started() });
+    await firstChunk;
+    requested.length = 0;
+    const queued = getTxts(["PGS000002"], { build: 38, cache: false });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(requested, []);
+    controller.abort();
+    await assert.rejects(stalled, { name: "AbortError" });
+    assert.equal((await queued)[0].ok, true);
+    configureHttp({ concurrency: 4 });
+    console.log("  ✓ getTxts: abort during a stalled body read frees its slot");
+  }
+} finally {
+  await waitForCacheRefresh();
+  await rm(cacheDir, { recursive: true, force: true });
+}
+
+console.log("\n✓ behaviour checks passed");